@@ -0,0 +1,102 @@
+const BasePage = require('./BasePage');
+const TestHelpers = require('../utils/TestHelpers');
+
+/**
+ * AccountsOverviewPage class represents the ParaBank accounts overview page
+ * Reads the accounts table into structured rows
+ */
+class AccountsOverviewPage extends BasePage {
+    constructor(page) {
+        super(page);
+
+        // Page URL (relative to the configured baseURL)
+        this.url = 'overview.htm';
+
+        // Overview elements
+        this.elements = {
+            pageTitle: '#showOverview h1.title',
+            accountTable: '#accountTable',
+            accountRows: '#accountTable tbody tr',
+            accountLink: 'a[href*="activity.htm"]'
+        };
+    }
+
+    /**
+     * Navigate to the accounts overview page
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Verify the overview page is loaded with its accounts table
+     * ParaBank fills the table after load, so wait for the first account link.
+     * @returns {Promise<boolean>} True if the accounts table is populated
+     */
+    async isOverviewPageLoaded() {
+        try {
+            await this.waitForElement(this.elements.accountTable);
+            await this.waitForElement(`${this.elements.accountRows} ${this.elements.accountLink}`);
+            return true;
+        } catch (error) {
+            console.error('Accounts overview not loaded properly:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Read every account row of the table
+     * @returns {Promise<Array<{accountId: string, balance: number, availableAmount: number}>>} Account rows
+     */
+    async getAccounts() {
+        await this.waitForElement(`${this.elements.accountRows} ${this.elements.accountLink}`);
+
+        const rows = await this.page.locator(this.elements.accountRows).evaluateAll(trs =>
+            trs.map(tr => Array.from(tr.querySelectorAll('td'), td => td.textContent.trim())));
+
+        return rows
+            .filter(cells => /^\d+$/.test(cells[0]))
+            .map(([accountId, balance, availableAmount]) => ({
+                accountId,
+                balance: TestHelpers.parseCurrency(balance),
+                availableAmount: TestHelpers.parseCurrency(availableAmount)
+            }));
+    }
+
+    /**
+     * Read the total row of the table
+     * @returns {Promise<number>} Total balance
+     */
+    async getTotal() {
+        const totalRow = this.page.locator(this.elements.accountRows).filter({ hasText: 'Total' });
+        const totalText = await totalRow.locator('td').nth(1).textContent();
+        return TestHelpers.parseCurrency(totalText);
+    }
+
+    /**
+     * Find one account row by id
+     * @param {string|number} accountId - Account id
+     * @returns {Promise<Object|undefined>} Account row, if listed
+     */
+    async getAccount(accountId) {
+        const accounts = await this.getAccounts();
+        return accounts.find(account => account.accountId === String(accountId));
+    }
+
+    /**
+     * Get the balance of one account
+     * @param {string|number} accountId - Account id
+     * @returns {Promise<number>} Account balance
+     */
+    async getBalance(accountId) {
+        const account = await this.getAccount(accountId);
+        if (!account) {
+            throw new Error(`Account ${accountId} is not listed on the accounts overview`);
+        }
+        return account.balance;
+    }
+}
+
+module.exports = AccountsOverviewPage;
@@ -0,0 +1,240 @@
+const BasePage = require('./BasePage');
+
+/**
+ * AdminPage class represents the ParaBank administration page
+ * Initializes or cleans the database and configures the data access mode,
+ * the JMS service and the loan provider
+ */
+class AdminPage extends BasePage {
+    constructor(page) {
+        super(page);
+
+        // Page URL (relative to the configured baseURL)
+        this.url = 'admin.htm';
+
+        // Admin page elements
+        this.elements = {
+            pageTitle: '#rightPanel h1.title',
+            outcomeMessage: '#rightPanel h1.title + p b',
+
+            // Database
+            initializeButton: 'button[value="INIT"]',
+            cleanButton: 'button[value="CLEAN"]',
+
+            // JMS service
+            jmsStatus: 'form[action="jms.htm"] td:nth-child(2)',
+            jmsToggleButton: 'form[action="jms.htm"] input[type="submit"]',
+
+            // Settings form
+            settingsForm: '#adminForm',
+            accessModeRadio: mode => `#adminForm input[name="accessMode"][value="${mode}"]`,
+            checkedAccessMode: '#adminForm input[name="accessMode"]:checked',
+            loanProviderSelect: 'select#loanProvider',
+            loanProcessorSelect: 'select#loanProcessor',
+            loanProcessorThresholdInput: 'input#loanProcessorThreshold',
+            submitButton: '#adminForm input[value="Submit"]',
+            settingsError: '#adminForm .error'
+        };
+    }
+
+    /**
+     * Navigate to the admin page
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Verify the admin page is loaded
+     * @returns {Promise<boolean>} True if the settings form is shown
+     */
+    async isAdminPageLoaded() {
+        try {
+            await this.waitForElement(this.elements.settingsForm);
+            return true;
+        } catch (error) {
+            console.error('Admin page not loaded properly:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Reset the database to ParaBank's baseline data set
+     * Every customer registered since is removed and the session is logged out.
+     * @returns {Promise<string>} Confirmation message
+     */
+    async initializeDatabase() {
+        console.log('Initializing database...');
+        return await this.runDatabaseAction(this.elements.initializeButton, 'Database Initialized');
+    }
+
+    /**
+     * Remove all customers, accounts and transactions
+     * @returns {Promise<string>} Confirmation message
+     */
+    async cleanDatabase() {
+        console.log('Cleaning database...');
+        return await this.runDatabaseAction(this.elements.cleanButton, 'Database Cleaned');
+    }
+
+    /**
+     * Click a database button and check the confirmation
+     * @param {string} button - Button selector
+     * @param {string} expectedMessage - Confirmation ParaBank shows on success
+     * @returns {Promise<string>} Confirmation message
+     */
+    async runDatabaseAction(button, expectedMessage) {
+        await this.clickElement(button);
+        await this.waitForPageLoad();
+
+        const message = await this.getOutcomeMessage();
+        if (message !== expectedMessage) {
+            throw new Error(`Expected "${expectedMessage}" but the admin page showed: ${message || 'no message'}`);
+        }
+        return message;
+    }
+
+    /**
+     * Get the message shown after an admin action
+     * @returns {Promise<string|null>} Message text, or null if none is shown
+     */
+    async getOutcomeMessage() {
+        if (!(await this.isElementVisible(this.elements.outcomeMessage))) {
+            return null;
+        }
+        return (await this.getTextContent(this.elements.outcomeMessage)).trim();
+    }
+
+    /**
+     * Get the data access mode
+     * @returns {Promise<string>} One of AdminPage.ACCESS_MODES
+     */
+    async getDataAccessMode() {
+        await this.waitForElement(this.elements.settingsForm);
+        return await this.page.locator(this.elements.checkedAccessMode).getAttribute('value');
+    }
+
+    /**
+     * Switch the data access mode
+     * @param {string} mode - One of AdminPage.ACCESS_MODES
+     */
+    async setDataAccessMode(mode) {
+        await this.saveSettings({ accessMode: mode });
+    }
+
+    /**
+     * Check whether the JMS service is running
+     * @returns {Promise<boolean>} True if the status reads "Running"
+     */
+    async isJmsServiceRunning() {
+        return (await this.getTextContent(this.elements.jmsStatus)).trim() === 'Running';
+    }
+
+    /**
+     * Start or stop the JMS service
+     * @param {boolean} running - Desired state
+     */
+    async setJmsServiceRunning(running) {
+        if ((await this.isJmsServiceRunning()) === running) {
+            return;
+        }
+
+        console.log(`${running ? 'Starting' : 'Stopping'} the JMS service...`);
+        await this.clickElement(this.elements.jmsToggleButton);
+        await this.waitForPageLoad();
+
+        if ((await this.isJmsServiceRunning()) !== running) {
+            throw new Error(`JMS service did not ${running ? 'start' : 'stop'}`);
+        }
+    }
+
+    /**
+     * Read the loan settings
+     * @returns {Promise<{provider: string, processor: string, threshold: number}>} Loan settings
+     */
+    async getLoanSettings() {
+        await this.waitForElement(this.elements.settingsForm);
+        return {
+            provider: await this.page.inputValue(this.elements.loanProviderSelect),
+            processor: await this.page.inputValue(this.elements.loanProcessorSelect),
+            threshold: Number(await this.page.inputValue(this.elements.loanProcessorThresholdInput))
+        };
+    }
+
+    /**
+     * Switch the loan provider
+     * @param {string} provider - One of AdminPage.LOAN_PROVIDERS
+     */
+    async setLoanProvider(provider) {
+        await this.saveSettings({ loanProvider: provider });
+    }
+
+    /**
+     * Change settings on the settings form and submit it
+     * Settings not given keep their current values.
+     * @param {Object} settings - Settings to change
+     * @param {string} [settings.accessMode] - One of AdminPage.ACCESS_MODES
+     * @param {string} [settings.loanProvider] - One of AdminPage.LOAN_PROVIDERS
+     * @param {string} [settings.loanProcessor] - One of AdminPage.LOAN_PROCESSORS
+     * @param {number} [settings.loanProcessorThreshold] - Threshold percentage
+     */
+    async saveSettings({ accessMode, loanProvider, loanProcessor, loanProcessorThreshold }) {
+        if (!(await this.isAdminPageLoaded())) {
+            throw new Error('Admin settings form is not available');
+        }
+
+        console.log('Saving admin settings...');
+        if (accessMode !== undefined) {
+            await this.page.check(this.elements.accessModeRadio(accessMode));
+        }
+        if (loanProvider !== undefined) {
+            await this.page.selectOption(this.elements.loanProviderSelect, loanProvider);
+        }
+        if (loanProcessor !== undefined) {
+            await this.page.selectOption(this.elements.loanProcessorSelect, loanProcessor);
+        }
+        if (loanProcessorThreshold !== undefined) {
+            await this.fillField(this.elements.loanProcessorThresholdInput, String(loanProcessorThreshold));
+        }
+        await this.clickElement(this.elements.submitButton);
+        await this.waitForPageLoad();
+
+        const message = await this.getOutcomeMessage();
+        if (message !== 'Settings saved successfully.') {
+            const errors = await this.page.locator(this.elements.settingsError).allTextContents();
+            throw new Error(`Admin settings were not saved: ${errors.join(' ') || message || 'no message'}`);
+        }
+    }
+}
+
+/**
+ * Data access modes
+ */
+AdminPage.ACCESS_MODES = {
+    SOAP: 'soap',
+    REST_XML: 'restxml',
+    REST_JSON: 'restjson',
+    JDBC: 'jdbc'
+};
+
+/**
+ * Loan providers
+ */
+AdminPage.LOAN_PROVIDERS = {
+    WEB_SERVICE: 'ws',
+    LOCAL: 'local',
+    JMS: 'jms'
+};
+
+/**
+ * Loan processors
+ */
+AdminPage.LOAN_PROCESSORS = {
+    DOWN_PAYMENT: 'down',
+    AVAILABLE_FUNDS: 'funds',
+    COMBINED: 'combined'
+};
+
+module.exports = AdminPage;
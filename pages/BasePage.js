@@ -1,3 +1,5 @@
+const { getActiveEnvironment } = require('../utils/environments');
+
 /**
  * BasePage class provides common functionality for all page objects
  * This includes common actions like navigation, waiting, and element interactions
@@ -5,12 +7,13 @@
 class BasePage {
     constructor(page) {
         this.page = page;
-        this.timeout = 30000; // 30 seconds default timeout
+        this.environment = getActiveEnvironment();
+        this.timeout = this.environment.timeouts.action; // default timeout from the active profile
     }
 
     /**
      * Navigate to a specific URL
-     * @param {string} url - The URL to navigate to
+     * @param {string} url - The URL to navigate to, relative to the configured baseURL
      */
     async navigateTo(url) {
         await this.page.goto(url, { waitUntil: 'networkidle' });
@@ -96,6 +99,10 @@ class BasePage {
      * Handle Cloudflare challenge if present
      */
     async handleCloudflareChallenge() {
+        if (!this.environment.handleChallenge) {
+            return;
+        }
+
         try {
             // Check for Cloudflare challenge
             const cloudflareChallenge = await this.isElementVisible('.cf-challenge-container');
@@ -0,0 +1,185 @@
+const BasePage = require('./BasePage');
+const TestHelpers = require('../utils/TestHelpers');
+
+/**
+ * BillPayPage class represents the ParaBank bill payment service page
+ * Contains all elements and actions for paying a payee
+ */
+class BillPayPage extends BasePage {
+    constructor(page) {
+        super(page);
+
+        // Page URL (relative to the configured baseURL)
+        this.url = 'billpay.htm';
+
+        // Bill pay form elements
+        this.elements = {
+            // Form fields
+            payeeNameInput: 'input[name="payee.name"]',
+            addressInput: 'input[name="payee.address.street"]',
+            cityInput: 'input[name="payee.address.city"]',
+            stateInput: 'input[name="payee.address.state"]',
+            zipCodeInput: 'input[name="payee.address.zipCode"]',
+            phoneInput: 'input[name="payee.phoneNumber"]',
+            accountInput: 'input[name="payee.accountNumber"]',
+            verifyAccountInput: 'input[name="verifyAccount"]',
+            amountInput: 'input[name="amount"]',
+            fromAccountSelect: 'select[name="fromAccountId"]',
+            fromAccountOptions: 'select[name="fromAccountId"] option',
+
+            // Buttons
+            sendPaymentButton: 'input[value="Send Payment"]',
+
+            // Page title and form
+            pageTitle: '#billpayForm h1.title',
+            billPayForm: '#billpayForm',
+
+            // Confirmation
+            resultPanel: '#billpayResult',
+            resultTitle: '#billpayResult h1.title',
+            payeeNameResult: '#billpayResult #payeeName',
+            amountResult: '#billpayResult #amount',
+            fromAccountResult: '#billpayResult #fromAccountId',
+
+            // Errors
+            anyError: '#billpayForm .error'
+        };
+
+        // Error elements per payee field; a field can have several messages
+        this.fieldErrors = {
+            name: ['#validationModel-name'],
+            address: ['#validationModel-address'],
+            city: ['#validationModel-city'],
+            state: ['#validationModel-state'],
+            zipCode: ['#validationModel-zipCode'],
+            phone: ['#validationModel-phoneNumber'],
+            accountNumber: ['#validationModel-account-empty', '#validationModel-account-invalid'],
+            verifyAccount: [
+                '#validationModel-verifyAccount-empty',
+                '#validationModel-verifyAccount-invalid',
+                '#validationModel-verifyAccount-mismatch'
+            ],
+            amount: ['#validationModel-amount-empty', '#validationModel-amount-invalid']
+        };
+    }
+
+    /**
+     * Navigate to the bill pay page
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Verify bill pay page is loaded with accounts to pay from
+     * @returns {Promise<boolean>} True if the form is ready
+     */
+    async isBillPayPageLoaded() {
+        try {
+            await this.waitForElement(this.elements.billPayForm);
+            await this.waitForElement(this.elements.payeeNameInput);
+            await this.page.waitForSelector(this.elements.fromAccountOptions, {
+                state: 'attached',
+                timeout: this.timeout
+            });
+            return true;
+        } catch (error) {
+            console.error('Bill pay page not loaded properly:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Fill the payee form
+     * @param {import('../test-data/payeeData').Payee} payee - Payee data
+     * @param {string|number} fromAccountId - Account to pay from (defaults to the first listed)
+     */
+    async fillPayeeForm(payee, fromAccountId) {
+        console.log('Filling payee form...');
+
+        await this.fillField(this.elements.payeeNameInput, payee.name);
+        await this.fillField(this.elements.addressInput, payee.address);
+        await this.fillField(this.elements.cityInput, payee.city);
+        await this.fillField(this.elements.stateInput, payee.state);
+        await this.fillField(this.elements.zipCodeInput, payee.zipCode);
+        await this.fillField(this.elements.phoneInput, payee.phone);
+        await this.fillField(this.elements.accountInput, payee.accountNumber);
+        await this.fillField(this.elements.verifyAccountInput, payee.verifyAccount);
+        await this.fillField(this.elements.amountInput, payee.amount);
+        if (fromAccountId !== undefined) {
+            await this.page.selectOption(this.elements.fromAccountSelect, String(fromAccountId));
+        }
+
+        console.log('Payee form filled successfully');
+    }
+
+    /**
+     * Submit the payment and wait for the confirmation or validation errors
+     */
+    async submit() {
+        console.log('Submitting bill payment...');
+        await this.clickElement(this.elements.sendPaymentButton);
+        await this.waitForPageLoad();
+        await this.waitForElement(`${this.elements.resultPanel}:visible, ${this.elements.anyError}:visible`);
+    }
+
+    /**
+     * Pay a payee and read the confirmation
+     * @param {import('../test-data/payeeData').Payee} payee - Payee data
+     * @param {string|number} fromAccountId - Account to pay from
+     * @returns {Promise<{payeeName: string, amount: number, fromAccountId: string}>} Confirmation details
+     */
+    async payBill(payee, fromAccountId) {
+        await this.fillPayeeForm(payee, fromAccountId);
+        await this.submit();
+
+        const errors = await this.getFieldErrors();
+        if (Object.keys(errors).length > 0) {
+            throw new Error(`Bill payment was rejected: ${JSON.stringify(errors)}`);
+        }
+        return await this.getConfirmation();
+    }
+
+    /**
+     * Read the "Bill Payment Complete" confirmation
+     * @returns {Promise<{payeeName: string, amount: number, fromAccountId: string}>} Confirmation details
+     */
+    async getConfirmation() {
+        await this.waitForElement(this.elements.resultPanel);
+        return {
+            payeeName: (await this.getTextContent(this.elements.payeeNameResult)).trim(),
+            amount: TestHelpers.parseCurrency(await this.getTextContent(this.elements.amountResult)),
+            fromAccountId: (await this.getTextContent(this.elements.fromAccountResult)).trim()
+        };
+    }
+
+    /**
+     * Get the visible validation message for each payee field
+     * @returns {Promise<Object<string, string>>} Messages keyed by payee field name
+     */
+    async getFieldErrors() {
+        const errors = {};
+        for (const [field, selectors] of Object.entries(this.fieldErrors)) {
+            for (const selector of selectors) {
+                const error = this.page.locator(selector);
+                if (await error.isVisible()) {
+                    errors[field] = (await error.textContent()).trim();
+                    break;
+                }
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Get the bill pay page title
+     * @returns {Promise<string>} Title text
+     */
+    async getBillPayPageTitle() {
+        return (await this.getTextContent(this.elements.pageTitle)).trim();
+    }
+}
+
+module.exports = BillPayPage;
@@ -0,0 +1,245 @@
+const BasePage = require('./BasePage');
+const TestHelpers = require('../utils/TestHelpers');
+
+/**
+ * @typedef {Object} TransactionRecord
+ * @property {string} id - Transaction id
+ * @property {string} date - Transaction date (MM-DD-YYYY)
+ * @property {string} description - Transaction description
+ * @property {number|null} debit - Debit amount, or null for credits
+ * @property {number|null} credit - Credit amount, or null for debits
+ */
+
+/**
+ * FindTransactionsPage class represents the ParaBank find transactions page
+ * Runs the four search modes and reads the results table
+ */
+class FindTransactionsPage extends BasePage {
+    constructor(page) {
+        super(page);
+
+        // Page URL (relative to the configured baseURL)
+        this.url = 'findtrans.htm';
+
+        // Find transactions elements
+        this.elements = {
+            pageTitle: '#formContainer h1.title',
+            accountSelect: 'select#accountId',
+            accountOptions: 'select#accountId option',
+
+            // Search criteria
+            transactionIdInput: 'input#transactionId',
+            transactionDateInput: 'input#transactionDate',
+            fromDateInput: 'input#fromDate',
+            toDateInput: 'input#toDate',
+            amountInput: 'input#amount',
+
+            // Search buttons
+            findByIdButton: 'button#findById',
+            findByDateButton: 'button#findByDate',
+            findByDateRangeButton: 'button#findByDateRange',
+            findByAmountButton: 'button#findByAmount',
+
+            // Results
+            resultContainer: '#resultContainer',
+            transactionRows: '#transactionTable tbody tr',
+
+            // Errors
+            transactionIdError: '#transactionIdError',
+            transactionDateError: '#transactionDateError',
+            dateRangeError: '#dateRangeError',
+            amountError: '#amountError',
+            errorContainer: '#errorContainer .error'
+        };
+    }
+
+    /**
+     * Navigate to the find transactions page
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Verify the search form is loaded with accounts to choose from
+     * @returns {Promise<boolean>} True if the form is ready
+     */
+    async isFindTransactionsPageLoaded() {
+        try {
+            await this.waitForElement(this.elements.accountSelect);
+            await this.page.waitForSelector(this.elements.accountOptions, {
+                state: 'attached',
+                timeout: this.timeout
+            });
+            return true;
+        } catch (error) {
+            console.error('Find transactions page not loaded properly:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Run a search
+     * @param {string} mode - One of FindTransactionsPage.SEARCH_MODES
+     * @param {string|number} accountId - Account to search
+     * @param {Object} criteria - transactionId, date, fromDate/toDate or amount, depending on mode
+     */
+    async search(mode, accountId, criteria) {
+        if (!(await this.isFindTransactionsPageLoaded())) {
+            throw new Error('Find transactions form is not available');
+        }
+
+        console.log(`Finding transactions in ${accountId} by ${mode}: ${JSON.stringify(criteria)}`);
+        await this.page.selectOption(this.elements.accountSelect, String(accountId));
+
+        switch (mode) {
+            case FindTransactionsPage.SEARCH_MODES.ID:
+                await this.fillField(this.elements.transactionIdInput, String(criteria.transactionId));
+                await this.clickElement(this.elements.findByIdButton);
+                break;
+            case FindTransactionsPage.SEARCH_MODES.DATE:
+                await this.fillField(this.elements.transactionDateInput, toSearchDate(criteria.date));
+                await this.clickElement(this.elements.findByDateButton);
+                break;
+            case FindTransactionsPage.SEARCH_MODES.DATE_RANGE:
+                await this.fillField(this.elements.fromDateInput, toSearchDate(criteria.fromDate));
+                await this.fillField(this.elements.toDateInput, toSearchDate(criteria.toDate));
+                await this.clickElement(this.elements.findByDateRangeButton);
+                break;
+            case FindTransactionsPage.SEARCH_MODES.AMOUNT:
+                await this.fillField(this.elements.amountInput, String(criteria.amount));
+                await this.clickElement(this.elements.findByAmountButton);
+                break;
+            default:
+                throw new Error(`Unknown search mode: ${mode}`);
+        }
+
+        await this.waitForPageLoad();
+        await this.waitForElement([
+            this.elements.resultContainer,
+            this.elements.transactionIdError,
+            this.elements.transactionDateError,
+            this.elements.dateRangeError,
+            this.elements.amountError,
+            this.elements.errorContainer
+        ].map(selector => `${selector}:visible`).join(', '));
+    }
+
+    /**
+     * Find a transaction by id
+     * @returns {Promise<TransactionRecord[]>} Matching transactions
+     */
+    async findById(accountId, transactionId) {
+        await this.search(FindTransactionsPage.SEARCH_MODES.ID, accountId, { transactionId });
+        return await this.getTransactions();
+    }
+
+    /**
+     * Find transactions on a date
+     * @param {string|number} accountId - Account to search
+     * @param {string|Date} date - Date as MM-DD-YYYY or a Date
+     * @returns {Promise<TransactionRecord[]>} Matching transactions
+     */
+    async findByDate(accountId, date) {
+        await this.search(FindTransactionsPage.SEARCH_MODES.DATE, accountId, { date });
+        return await this.getTransactions();
+    }
+
+    /**
+     * Find transactions between two dates, inclusive
+     * @param {string|number} accountId - Account to search
+     * @param {string|Date} fromDate - Start date as MM-DD-YYYY or a Date
+     * @param {string|Date} toDate - End date as MM-DD-YYYY or a Date
+     * @returns {Promise<TransactionRecord[]>} Matching transactions
+     */
+    async findByDateRange(accountId, fromDate, toDate) {
+        await this.search(FindTransactionsPage.SEARCH_MODES.DATE_RANGE, accountId, { fromDate, toDate });
+        return await this.getTransactions();
+    }
+
+    /**
+     * Find transactions of an amount
+     * @returns {Promise<TransactionRecord[]>} Matching transactions
+     */
+    async findByAmount(accountId, amount) {
+        await this.search(FindTransactionsPage.SEARCH_MODES.AMOUNT, accountId, { amount });
+        return await this.getTransactions();
+    }
+
+    /**
+     * Read the results table; an empty result gives an empty list
+     * @returns {Promise<TransactionRecord[]>} Transactions listed
+     */
+    async getTransactions() {
+        const error = await this.getSearchError();
+        if (error) {
+            throw new Error(`Transaction search failed: ${error}`);
+        }
+
+        const rows = await this.page.locator(this.elements.transactionRows).evaluateAll(trs =>
+            trs.map(tr => {
+                const link = tr.querySelector('a[href*="transaction.htm"]');
+                return {
+                    href: link ? link.getAttribute('href') : '',
+                    cells: Array.from(tr.querySelectorAll('td'), td => td.textContent.trim())
+                };
+            }));
+
+        return rows
+            .filter(row => row.href)
+            .map(({ href, cells: [date, description, debit, credit] }) => ({
+                id: new URLSearchParams(href.split('?')[1]).get('id'),
+                date,
+                description,
+                debit: debit ? TestHelpers.parseCurrency(debit) : null,
+                credit: credit ? TestHelpers.parseCurrency(credit) : null
+            }));
+    }
+
+    /**
+     * Get the error shown for a rejected search
+     * @returns {Promise<string|null>} Error text, or null if no error is shown
+     */
+    async getSearchError() {
+        const selectors = [
+            this.elements.transactionIdError,
+            this.elements.transactionDateError,
+            this.elements.dateRangeError,
+            this.elements.amountError,
+            this.elements.errorContainer
+        ];
+        for (const selector of selectors) {
+            const error = this.page.locator(selector);
+            if (await error.isVisible()) {
+                const text = (await error.textContent()).trim();
+                if (text) {
+                    return text;
+                }
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Convert a search date to the MM-DD-YYYY text ParaBank expects
+ * @param {string|Date} date - Date to convert
+ * @returns {string} Date text
+ */
+function toSearchDate(date) {
+    return date instanceof Date ? TestHelpers.formatParaBankDate(date) : String(date);
+}
+
+/**
+ * Search modes offered by the page
+ */
+FindTransactionsPage.SEARCH_MODES = {
+    ID: 'ID',
+    DATE: 'DATE',
+    DATE_RANGE: 'DATE_RANGE',
+    AMOUNT: 'AMOUNT'
+};
+
+module.exports = FindTransactionsPage;
@@ -8,8 +8,8 @@ class HomePage extends BasePage {
     constructor(page) {
         super(page);
         
-        // Page URL
-        this.url = 'https://parabank.parasoft.com/parabank';
+        // Page URL (relative to the configured baseURL)
+        this.url = 'index.htm';
         
         // Page elements (locators)
         this.elements = {
@@ -0,0 +1,100 @@
+const BasePage = require('./BasePage');
+
+/**
+ * LoginPage class represents the ParaBank customer login panel
+ * Contains all elements and actions for logging in and out
+ */
+class LoginPage extends BasePage {
+    constructor(page) {
+        super(page);
+
+        // Page URL (relative to the configured baseURL)
+        this.url = 'index.htm';
+
+        // Login elements
+        this.elements = {
+            loginPanel: '#loginPanel',
+            usernameInput: '#loginPanel input[name="username"]',
+            passwordInput: '#loginPanel input[name="password"]',
+            loginButton: '#loginPanel input[value="Log In"]',
+
+            // Error page shown for rejected logins
+            errorTitle: '#rightPanel h1.title',
+            errorMessage: '#rightPanel .error',
+
+            // Logged-in indicators
+            logoutLink: 'a[href*="logout.htm"]',
+            welcomeText: '#leftPanel .smallText'
+        };
+    }
+
+    /**
+     * Navigate to the page holding the login panel
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Verify the login panel is displayed
+     * @returns {Promise<boolean>} True if the login form is visible
+     */
+    async isLoginPanelVisible() {
+        return await this.isElementVisible(this.elements.loginPanel);
+    }
+
+    /**
+     * Submit the login form
+     * @param {string} username - Username for login
+     * @param {string} password - Password for login
+     */
+    async login(username, password) {
+        console.log(`Logging in as ${username || '(empty)'}...`);
+        await this.fillField(this.elements.usernameInput, username);
+        await this.fillField(this.elements.passwordInput, password);
+        await this.clickElement(this.elements.loginButton);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Check if a customer is logged in by looking for the logout link
+     * @returns {Promise<boolean>} True if logged in
+     */
+    async isLoggedIn() {
+        return await this.isElementVisible(this.elements.logoutLink);
+    }
+
+    /**
+     * Get the error message shown after a rejected login
+     * @returns {Promise<string|null>} Error text, or null if no error is shown
+     */
+    async getErrorMessage() {
+        if (!(await this.isElementVisible(this.elements.errorMessage))) {
+            return null;
+        }
+        return (await this.getTextContent(this.elements.errorMessage)).trim();
+    }
+
+    /**
+     * Get the customer name from the "Welcome ..." text in the left panel
+     * @returns {Promise<string>} Full name of the logged-in customer
+     */
+    async getWelcomeName() {
+        const text = await this.getTextContent(this.elements.welcomeText);
+        return text.replace(/^\s*Welcome\s*/, '').trim();
+    }
+
+    /**
+     * Log out through the Account Services menu
+     */
+    async logout() {
+        console.log('Logging out...');
+        await this.clickElement(this.elements.logoutLink);
+        await this.waitForPageLoad();
+    }
+}
+
+module.exports = LoginPage;
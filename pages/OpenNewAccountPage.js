@@ -0,0 +1,135 @@
+const BasePage = require('./BasePage');
+
+/**
+ * OpenNewAccountPage class represents the ParaBank open new account page
+ * Opens CHECKING or SAVINGS accounts funded from an existing account
+ */
+class OpenNewAccountPage extends BasePage {
+    constructor(page) {
+        super(page);
+
+        // Page URL (relative to the configured baseURL)
+        this.url = 'openaccount.htm';
+
+        // Open account elements
+        this.elements = {
+            pageTitle: '#openAccountForm h1.title',
+            accountTypeSelect: 'select#type',
+            fromAccountSelect: 'select#fromAccountId',
+            fromAccountOptions: 'select#fromAccountId option',
+            openAccountButton: 'input[value="Open New Account"]',
+
+            // Confirmation
+            resultPanel: '#openAccountResult',
+            resultTitle: '#openAccountResult h1.title',
+            newAccountId: '#newAccountId'
+        };
+    }
+
+    /**
+     * Navigate to the open new account page
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Verify the open account form is loaded with funding accounts to choose from
+     * @returns {Promise<boolean>} True if the form is ready
+     */
+    async isOpenAccountPageLoaded() {
+        try {
+            await this.waitForElement(this.elements.accountTypeSelect);
+            await this.page.waitForSelector(this.elements.fromAccountOptions, {
+                state: 'attached',
+                timeout: this.timeout
+            });
+            return true;
+        } catch (error) {
+            console.error('Open account page not loaded properly:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Choose the type of the new account
+     * @param {string} accountType - One of OpenNewAccountPage.ACCOUNT_TYPES
+     */
+    async selectAccountType(accountType) {
+        if (!Object.values(OpenNewAccountPage.ACCOUNT_TYPES).includes(accountType)) {
+            throw new Error(`Unsupported account type: ${accountType}`);
+        }
+        await this.page.selectOption(this.elements.accountTypeSelect, { label: accountType });
+    }
+
+    /**
+     * Choose the existing account that funds the new one
+     * @param {string|number} fromAccountId - Funding account id
+     */
+    async selectFundingAccount(fromAccountId) {
+        await this.page.selectOption(this.elements.fromAccountSelect, String(fromAccountId));
+    }
+
+    /**
+     * Get the account ids offered as funding accounts
+     * @returns {Promise<string[]>} Account ids
+     */
+    async getFundingAccountIds() {
+        const options = await this.page.locator(this.elements.fromAccountOptions).allTextContents();
+        return options.map(option => option.trim());
+    }
+
+    /**
+     * Submit the form and read the new account id from the confirmation
+     * @returns {Promise<string>} New account id
+     */
+    async submit() {
+        console.log('Submitting open account form...');
+        await this.clickElement(this.elements.openAccountButton);
+        await this.waitForElement(this.elements.newAccountId);
+
+        const newAccountId = (await this.getTextContent(this.elements.newAccountId)).trim();
+        if (!/^\d+$/.test(newAccountId)) {
+            throw new Error(`Unexpected new account number: "${newAccountId}"`);
+        }
+        console.log(`Opened account ${newAccountId}`);
+        return newAccountId;
+    }
+
+    /**
+     * Open a new account
+     * @param {string} accountType - CHECKING or SAVINGS
+     * @param {string|number} fromAccountId - Funding account id (defaults to the first listed)
+     * @returns {Promise<string>} New account id
+     */
+    async openAccount(accountType, fromAccountId) {
+        if (!(await this.isOpenAccountPageLoaded())) {
+            throw new Error('Open account form is not available');
+        }
+        await this.selectAccountType(accountType);
+        if (fromAccountId !== undefined) {
+            await this.selectFundingAccount(fromAccountId);
+        }
+        return await this.submit();
+    }
+
+    /**
+     * Get the confirmation title
+     * @returns {Promise<string>} Title text, e.g. "Account Opened!"
+     */
+    async getResultTitle() {
+        return (await this.getTextContent(this.elements.resultTitle)).trim();
+    }
+}
+
+/**
+ * Account types offered by the form
+ */
+OpenNewAccountPage.ACCOUNT_TYPES = {
+    CHECKING: 'CHECKING',
+    SAVINGS: 'SAVINGS'
+};
+
+module.exports = OpenNewAccountPage;
@@ -1,5 +1,13 @@
 const BasePage = require('./BasePage');
 
+/**
+ * @typedef {Object} RegistrationResult
+ * @property {string} status - One of RegistrationPage.RESULT_STATUSES
+ * @property {string} [username] - Username the welcome title names (success)
+ * @property {Object<string, string>} [fieldErrors] - Field errors keyed by field name (duplicate, validation)
+ * @property {Object} [diagnostics] - URL, HTTP status, titles, error texts and a body excerpt (unexpected)
+ */
+
 /**
  * RegistrationPage class represents the ParaBank registration page
  * Contains all elements and actions specific to user registration
@@ -7,6 +15,7 @@ const BasePage = require('./BasePage');
 class RegistrationPage extends BasePage {
     constructor(page) {
         super(page);
+        this.url = 'register.htm';
         
         // Registration form elements
         this.elements = {
@@ -30,6 +39,7 @@ class RegistrationPage extends BasePage {
             successMessage: 'text=Your account was created successfully',
             alternateSuccessMessage: '.title:has-text("Welcome")',
             welcomeMessage: 'h1.title',
+            resultTitle: '#rightPanel h1.title',
             errorMessage: '.error',
             
             // Alternative success indicators
@@ -43,6 +53,45 @@ class RegistrationPage extends BasePage {
             // Navigation
             registerTitle: 'h1:has-text("Signing up is easy!")'
         };
+
+        // Inputs in the userFactory.build() shape plus confirmPassword, in page order
+        this.formFields = {
+            firstName: this.elements.firstNameInput,
+            lastName: this.elements.lastNameInput,
+            address: this.elements.addressInput,
+            city: this.elements.cityInput,
+            state: this.elements.stateInput,
+            zipCode: this.elements.zipCodeInput,
+            phone: this.elements.phoneInput,
+            ssn: this.elements.ssnInput,
+            username: this.elements.usernameInput,
+            password: this.elements.passwordInput,
+            confirmPassword: this.elements.confirmPasswordInput
+        };
+
+        // Error element per form field, in the same shape
+        this.fieldErrors = {
+            firstName: '[id="customer.firstName.errors"]',
+            lastName: '[id="customer.lastName.errors"]',
+            address: '[id="customer.address.street.errors"]',
+            city: '[id="customer.address.city.errors"]',
+            state: '[id="customer.address.state.errors"]',
+            zipCode: '[id="customer.address.zipCode.errors"]',
+            phone: '[id="customer.phoneNumber.errors"]',
+            ssn: '[id="customer.ssn.errors"]',
+            username: '[id="customer.username.errors"]',
+            password: '[id="customer.password.errors"]',
+            confirmPassword: '[id="repeatedPassword.errors"]'
+        };
+    }
+
+    /**
+     * Navigate straight to the registration page
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
     }
 
     /**
@@ -62,6 +111,7 @@ class RegistrationPage extends BasePage {
 
     /**
      * Fill the registration form with user data
+     * The confirmation field gets userData.confirmPassword when set, otherwise the password.
      * @param {Object} userData - User registration data
      */
     async fillRegistrationForm(userData) {
@@ -77,96 +127,85 @@ class RegistrationPage extends BasePage {
         await this.fillField(this.elements.ssnInput, userData.ssn);
         await this.fillField(this.elements.usernameInput, userData.username);
         await this.fillField(this.elements.passwordInput, userData.password);
-        await this.fillField(this.elements.confirmPasswordInput, userData.password);
+        await this.fillField(this.elements.confirmPasswordInput, userData.confirmPassword ?? userData.password);
         
         console.log('Registration form filled successfully');
     }
 
     /**
-     * Submit the registration form
+     * Submit the registration form and classify ParaBank's response
+     * Waits for the form's own POST response rather than a fixed delay.
+     * @returns {Promise<RegistrationResult>} Outcome of the submission
      */
     async submitRegistration() {
         console.log('Submitting registration form...');
-        await this.clickElement(this.elements.registerButton);
+        const [response] = await Promise.all([
+            this.page.waitForResponse(candidate =>
+                candidate.request().method() === 'POST' && new URL(candidate.url()).pathname.endsWith('/register.htm')),
+            this.clickElement(this.elements.registerButton)
+        ]);
         
         // Handle potential Cloudflare challenge after form submission
         await this.handleCloudflareChallenge();
         await this.waitForPageLoad();
+
+        const result = await this.readRegistrationResult(response);
+        console.log(`Registration result: ${result.status}${result.username ? ` (${result.username})` : ''}`);
+        return result;
     }
 
     /**
-     * Verify successful registration with multiple fallback methods
-     * @returns {Promise<boolean>} True if registration was successful
+     * Classify the page shown after a registration submission
+     * - success: the title welcomes a username and the creation message is shown
+     * - duplicate: the only field error says the username already exists
+     * - validation: any other field errors
+     * - unexpected: none of the above; diagnostics describe what was shown instead
+     * @param {Object} response - Response to the form POST, when known
+     * @returns {Promise<RegistrationResult>} Outcome of the submission
      */
-    async isRegistrationSuccessful() {
-        try {
-            // Wait a moment for the page to process the response
-            await this.page.waitForTimeout(2000);
-            
-            // First check if we're still on the registration page with errors
-            const currentUrl = this.getCurrentUrl();
-            if (currentUrl.includes('register.htm')) {
-                // Check for error messages
-                const errorElements = await this.page.locator('.error').count();
-                if (errorElements > 0) {
-                    const errorMessages = await this.page.locator('.error').allTextContents();
-                    console.log('Registration failed with errors:', errorMessages);
-                    return false;
-                }
-            }
-            
-            // Method 1: Look for specific success message
-            if (await this.isElementVisible(this.elements.successMessage)) {
-                console.log('Registration success detected: Success message found');
-                return true;
-            }
-
-            // Method 2: Look for welcome message with account creation text
-            if (await this.isElementVisible(this.elements.usernameParagraph)) {
-                console.log('Registration success detected: Username paragraph found');
-                return true;
-            }
+    async readRegistrationResult(response = null) {
+        const { RESULT_STATUSES } = RegistrationPage;
+        const titleElement = this.page.locator(this.elements.resultTitle).first();
+        const title = await titleElement.count() > 0 ? (await titleElement.textContent()).trim() : '';
+        const welcome = title.match(/^Welcome (\S+)$/);
 
-            // Method 3: Look for welcome title
-            if (await this.isElementVisible(this.elements.welcomeMessage)) {
-                const welcomeText = await this.getTextContent(this.elements.welcomeMessage);
-                if (welcomeText.includes('Welcome')) {
-                    console.log('Registration success detected: Welcome message found');
-                    return true;
-                }
-            }
-
-            // Method 4: Look for account services section (indicates successful login)
-            if (await this.isElementVisible(this.elements.accountServicesSection)) {
-                console.log('Registration success detected: Account services section found');
-                return true;
-            }
+        if (welcome && await this.isElementVisible(this.elements.usernameParagraph)) {
+            return { status: RESULT_STATUSES.SUCCESS, username: welcome[1] };
+        }
 
-            // Method 5: Check URL change (successful registration usually redirects)
-            if (currentUrl.includes('overview') || currentUrl.includes('account') || !currentUrl.includes('register.htm')) {
-                console.log('Registration success detected: URL indicates successful registration');
-                return true;
-            }
+        const fieldErrors = await this.getFieldErrors();
+        const errorFields = Object.keys(fieldErrors);
+        if (errorFields.length === 1 && /already exists/i.test(fieldErrors.username || '')) {
+            return { status: RESULT_STATUSES.DUPLICATE, fieldErrors };
+        }
+        if (errorFields.length > 0) {
+            return { status: RESULT_STATUSES.VALIDATION, fieldErrors };
+        }
 
-            // Method 6: Check for any element that contains success-related text
-            const pageContent = await this.page.content();
-            const hasSuccessContent = pageContent.toLowerCase().includes('account was created') ||
-                                    pageContent.toLowerCase().includes('welcome') ||
-                                    pageContent.toLowerCase().includes('successful');
-            
-            if (hasSuccessContent) {
-                console.log('Registration success detected: Page contains success content');
-                return true;
+        const bodyText = await this.page.locator('body').innerText().catch(() => '');
+        return {
+            status: RESULT_STATUSES.UNEXPECTED,
+            diagnostics: {
+                url: this.getCurrentUrl(),
+                httpStatus: response ? response.status() : null,
+                pageTitle: await this.getPageTitle(),
+                heading: title || null,
+                errorMessages: await this.getErrorMessages(),
+                bodyExcerpt: bodyText.replace(/\s+/g, ' ').trim().slice(0, 500)
             }
+        };
+    }
 
-            console.log('Registration success not detected with any method');
-            console.log('Current URL:', currentUrl);
-            return false;
-
-        } catch (error) {
-            console.error('Error checking registration success:', error.message);
-            return false;
+    /**
+     * Verify the current page shows a successful registration
+     * @returns {Promise<boolean>} True if the page welcomes the new customer
+     */
+    async isRegistrationSuccessful() {
+        const result = await this.readRegistrationResult();
+        if (result.status !== RegistrationPage.RESULT_STATUSES.SUCCESS) {
+            console.log('Registration not successful:', JSON.stringify(result));
         }
+        return result.status === RegistrationPage.RESULT_STATUSES.SUCCESS;
     }
 
     /**
@@ -189,6 +228,24 @@ class RegistrationPage extends BasePage {
         return errorMessages;
     }
 
+    /**
+     * Get the validation message shown next to each form field
+     * @returns {Promise<Object<string, string>>} Messages keyed by field name; fields without an error are left out
+     */
+    async getFieldErrors() {
+        const errors = {};
+        for (const [field, selector] of Object.entries(this.fieldErrors)) {
+            const error = this.page.locator(selector);
+            if (await error.count() > 0) {
+                const text = (await error.first().textContent()).trim();
+                if (text) {
+                    errors[field] = text;
+                }
+            }
+        }
+        return errors;
+    }
+
     /**
      * Clear all form fields
      */
@@ -217,25 +274,32 @@ class RegistrationPage extends BasePage {
     }
 
     /**
-     * Validate form field values
-     * @param {Object} expectedData - Expected form data
-     * @returns {Promise<boolean>} True if all fields match expected values
+     * Read back every input of the registration form
+     * @returns {Promise<Object<string, string>>} All eleven values keyed by field name, including confirmPassword
      */
-    async validateFormData(expectedData) {
-        try {
-            const firstNameValue = await this.page.inputValue(this.elements.firstNameInput);
-            const lastNameValue = await this.page.inputValue(this.elements.lastNameInput);
-            const usernameValue = await this.page.inputValue(this.elements.usernameInput);
+    async readForm() {
+        await this.waitForElement(this.elements.registrationForm);
 
-            return (
-                firstNameValue === expectedData.firstName &&
-                lastNameValue === expectedData.lastName &&
-                usernameValue === expectedData.username
-            );
-        } catch (error) {
-            console.error('Error validating form data:', error.message);
-            return false;
+        const values = {};
+        for (const [field, selector] of Object.entries(this.formFields)) {
+            values[field] = await this.page.inputValue(selector);
         }
+        return values;
+    }
+
+    /**
+     * The values fillRegistrationForm() puts in each input for the given user data
+     * @param {Object} userData - User registration data
+     * @returns {Object<string, string>} Expected values keyed by field name, in readForm() shape
+     */
+    expectedFormValues(userData) {
+        const expected = {};
+        for (const field of Object.keys(this.formFields)) {
+            expected[field] = field === 'confirmPassword'
+                ? userData.confirmPassword ?? userData.password
+                : userData[field];
+        }
+        return expected;
     }
 
     /**
@@ -258,4 +322,14 @@ class RegistrationPage extends BasePage {
     }
 }
 
+/**
+ * Outcomes a registration submission can have
+ */
+RegistrationPage.RESULT_STATUSES = {
+    SUCCESS: 'success',
+    DUPLICATE: 'duplicate',
+    VALIDATION: 'validation',
+    UNEXPECTED: 'unexpected'
+};
+
 module.exports = RegistrationPage;
\ No newline at end of file
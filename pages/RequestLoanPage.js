@@ -0,0 +1,122 @@
+const BasePage = require('./BasePage');
+
+/**
+ * @typedef {Object} LoanDecision
+ * @property {string} status - "Approved" or "Denied"
+ * @property {string} provider - Loan provider name
+ * @property {string} date - Decision date (MM-DD-YYYY)
+ * @property {string|null} newAccountId - New loan account id when approved
+ * @property {string|null} denialReason - Reason shown when denied
+ */
+
+/**
+ * RequestLoanPage class represents the ParaBank request loan page
+ * Submits loan requests and reads the decision
+ */
+class RequestLoanPage extends BasePage {
+    constructor(page) {
+        super(page);
+
+        // Page URL (relative to the configured baseURL)
+        this.url = 'requestloan.htm';
+
+        // Request loan elements
+        this.elements = {
+            pageTitle: '#requestLoanForm h1.title',
+            amountInput: 'input#amount',
+            downPaymentInput: 'input#downPayment',
+            fromAccountSelect: 'select#fromAccountId',
+            fromAccountOptions: 'select#fromAccountId option',
+            applyButton: 'input[value="Apply Now"]',
+
+            // Decision
+            resultPanel: '#requestLoanResult',
+            providerName: '#loanProviderName',
+            responseDate: '#responseDate',
+            loanStatus: '#loanStatus',
+            approvedPanel: '#loanRequestApproved',
+            newAccountId: '#newAccountId',
+            deniedPanel: '#loanRequestDenied',
+            denialReason: '#loanRequestDenied .error',
+
+            // Errors
+            formError: '#requestLoanForm .error, #requestLoanError'
+        };
+    }
+
+    /**
+     * Navigate to the request loan page
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Verify the loan form is loaded with funding accounts to choose from
+     * @returns {Promise<boolean>} True if the form is ready
+     */
+    async isRequestLoanPageLoaded() {
+        try {
+            await this.waitForElement(this.elements.amountInput);
+            await this.page.waitForSelector(this.elements.fromAccountOptions, {
+                state: 'attached',
+                timeout: this.timeout
+            });
+            return true;
+        } catch (error) {
+            console.error('Request loan page not loaded properly:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Submit a loan request and read the decision
+     * @param {Object} request - Loan request
+     * @param {string|number} request.amount - Loan amount
+     * @param {string|number} request.downPayment - Down payment
+     * @param {string|number} [request.fromAccountId] - Funding account (defaults to the first listed)
+     * @returns {Promise<LoanDecision>} The decision
+     */
+    async requestLoan({ amount, downPayment, fromAccountId }) {
+        if (!(await this.isRequestLoanPageLoaded())) {
+            throw new Error('Request loan form is not available');
+        }
+
+        console.log(`Requesting loan of ${amount} with down payment ${downPayment}...`);
+        await this.fillField(this.elements.amountInput, String(amount));
+        await this.fillField(this.elements.downPaymentInput, String(downPayment));
+        if (fromAccountId !== undefined) {
+            await this.page.selectOption(this.elements.fromAccountSelect, String(fromAccountId));
+        }
+        await this.clickElement(this.elements.applyButton);
+        await this.waitForPageLoad();
+        await this.waitForElement(`${this.elements.loanStatus}:visible, ${this.elements.formError}:visible`);
+
+        if (await this.isElementVisible(`${this.elements.formError}:visible`)) {
+            const error = await this.page.locator(`${this.elements.formError}:visible`).first().textContent();
+            throw new Error(`Loan request was rejected: ${error.trim()}`);
+        }
+        return await this.getDecision();
+    }
+
+    /**
+     * Read the loan decision
+     * @returns {Promise<LoanDecision>} The decision
+     */
+    async getDecision() {
+        const status = (await this.getTextContent(this.elements.loanStatus)).trim();
+        const approved = status === 'Approved';
+
+        return {
+            status,
+            provider: (await this.getTextContent(this.elements.providerName)).trim(),
+            date: (await this.getTextContent(this.elements.responseDate)).trim(),
+            newAccountId: approved ? (await this.getTextContent(this.elements.newAccountId)).trim() : null,
+            denialReason: approved ? null : (await this.getTextContent(this.elements.denialReason)).trim()
+        };
+    }
+}
+
+module.exports = RequestLoanPage;
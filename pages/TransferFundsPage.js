@@ -0,0 +1,135 @@
+const BasePage = require('./BasePage');
+const TestHelpers = require('../utils/TestHelpers');
+
+/**
+ * TransferFundsPage class represents the ParaBank transfer funds page
+ * Moves money between the customer's own accounts
+ */
+class TransferFundsPage extends BasePage {
+    constructor(page) {
+        super(page);
+
+        // Page URL (relative to the configured baseURL)
+        this.url = 'transfer.htm';
+
+        // Transfer form elements
+        this.elements = {
+            pageTitle: '#showForm h1.title',
+            amountInput: 'input#amount',
+            fromAccountSelect: 'select#fromAccountId',
+            toAccountSelect: 'select#toAccountId',
+            fromAccountOptions: 'select#fromAccountId option',
+            transferButton: 'input[value="Transfer"]',
+
+            // Confirmation
+            resultPanel: '#showResult',
+            resultTitle: '#showResult h1.title',
+            amountResult: '#amountResult',
+            fromAccountResult: '#fromAccountIdResult',
+            toAccountResult: '#toAccountIdResult',
+
+            // Errors
+            amountError: '[id="amount.errors"]',
+            errorPanel: '#showError .error'
+        };
+    }
+
+    /**
+     * Navigate to the transfer funds page
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Verify the transfer form is loaded with accounts to choose from
+     * @returns {Promise<boolean>} True if the form is ready
+     */
+    async isTransferPageLoaded() {
+        try {
+            await this.waitForElement(this.elements.amountInput);
+            await this.page.waitForSelector(this.elements.fromAccountOptions, {
+                state: 'attached',
+                timeout: this.timeout
+            });
+            return true;
+        } catch (error) {
+            console.error('Transfer funds page not loaded properly:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Fill and submit the transfer form without reading the outcome
+     * @param {string|number} amount - Amount as typed into the form
+     * @param {string|number} fromAccountId - Source account id
+     * @param {string|number} toAccountId - Destination account id
+     */
+    async submitTransfer(amount, fromAccountId, toAccountId) {
+        if (!(await this.isTransferPageLoaded())) {
+            throw new Error('Transfer form is not available');
+        }
+
+        console.log(`Transferring ${amount} from ${fromAccountId} to ${toAccountId}...`);
+        await this.fillField(this.elements.amountInput, String(amount));
+        await this.page.selectOption(this.elements.fromAccountSelect, String(fromAccountId));
+        await this.page.selectOption(this.elements.toAccountSelect, String(toAccountId));
+        await this.clickElement(this.elements.transferButton);
+        await this.waitForPageLoad();
+
+        // Wait for either the confirmation or an error
+        await this.waitForElement([
+            this.elements.resultPanel,
+            this.elements.amountError,
+            this.elements.errorPanel
+        ].map(selector => `${selector}:visible`).join(', '));
+    }
+
+    /**
+     * Transfer funds and read the confirmation
+     * @param {string|number} amount - Amount to transfer
+     * @param {string|number} fromAccountId - Source account id
+     * @param {string|number} toAccountId - Destination account id
+     * @returns {Promise<{amount: number, fromAccountId: string, toAccountId: string}>} Confirmation details
+     */
+    async transfer(amount, fromAccountId, toAccountId) {
+        await this.submitTransfer(amount, fromAccountId, toAccountId);
+
+        const error = await this.getAmountError();
+        if (error) {
+            throw new Error(`Transfer of ${amount} was rejected: ${error}`);
+        }
+        return await this.getConfirmation();
+    }
+
+    /**
+     * Read the "Transfer Complete!" confirmation
+     * @returns {Promise<{amount: number, fromAccountId: string, toAccountId: string}>} Confirmation details
+     */
+    async getConfirmation() {
+        await this.waitForElement(this.elements.amountResult);
+        return {
+            amount: TestHelpers.parseCurrency(await this.getTextContent(this.elements.amountResult)),
+            fromAccountId: (await this.getTextContent(this.elements.fromAccountResult)).trim(),
+            toAccountId: (await this.getTextContent(this.elements.toAccountResult)).trim()
+        };
+    }
+
+    /**
+     * Get the error shown for a rejected amount
+     * @returns {Promise<string|null>} Error text, or null if no error is shown
+     */
+    async getAmountError() {
+        for (const selector of [this.elements.amountError, this.elements.errorPanel]) {
+            const error = this.page.locator(selector);
+            if (await error.isVisible()) {
+                return (await error.textContent()).trim();
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = TransferFundsPage;
@@ -0,0 +1,127 @@
+const BasePage = require('./BasePage');
+
+/**
+ * UpdateProfilePage class represents the ParaBank update contact info page
+ * Reads and updates the customer's contact fields
+ */
+class UpdateProfilePage extends BasePage {
+    constructor(page) {
+        super(page);
+
+        // Page URL (relative to the configured baseURL)
+        this.url = 'updateprofile.htm';
+
+        // Update profile elements
+        this.elements = {
+            // Form fields
+            firstNameInput: 'input[id="customer.firstName"]',
+            lastNameInput: 'input[id="customer.lastName"]',
+            addressInput: 'input[id="customer.address.street"]',
+            cityInput: 'input[id="customer.address.city"]',
+            stateInput: 'input[id="customer.address.state"]',
+            zipCodeInput: 'input[id="customer.address.zipCode"]',
+            phoneInput: 'input[id="customer.phoneNumber"]',
+
+            // Buttons
+            updateProfileButton: 'input[value="Update Profile"]',
+
+            // Page title and form
+            pageTitle: '#updateProfileForm h1.title',
+            updateProfileForm: '#updateProfileForm',
+
+            // Confirmation and errors
+            resultPanel: '#updateProfileResult',
+            resultTitle: '#updateProfileResult h1.title',
+            errorMessage: '#updateProfileForm .error'
+        };
+
+        // Contact fields in the userFactory.build() shape, mapped to their inputs
+        this.profileFields = {
+            firstName: this.elements.firstNameInput,
+            lastName: this.elements.lastNameInput,
+            address: this.elements.addressInput,
+            city: this.elements.cityInput,
+            state: this.elements.stateInput,
+            zipCode: this.elements.zipCodeInput,
+            phone: this.elements.phoneInput
+        };
+    }
+
+    /**
+     * Navigate to the update profile page
+     */
+    async open() {
+        await this.navigateTo(this.url);
+        await this.handleCloudflareChallenge();
+        await this.waitForPageLoad();
+    }
+
+    /**
+     * Verify the profile form is loaded with the customer's data
+     * ParaBank fills the inputs after load, so wait for the first name value.
+     * @returns {Promise<boolean>} True if the form is populated
+     */
+    async isUpdateProfilePageLoaded() {
+        try {
+            await this.waitForElement(this.elements.firstNameInput);
+            await this.page.waitForFunction(
+                id => document.getElementById(id)?.value !== '',
+                'customer.firstName',
+                { timeout: this.timeout }
+            );
+            return true;
+        } catch (error) {
+            console.error('Update profile page not loaded properly:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Read every contact field
+     * @returns {Promise<Object>} firstName, lastName, address, city, state, zipCode and phone
+     */
+    async readProfile() {
+        if (!(await this.isUpdateProfilePageLoaded())) {
+            throw new Error('Update profile form is not available');
+        }
+
+        const profile = {};
+        for (const [field, selector] of Object.entries(this.profileFields)) {
+            profile[field] = await this.page.inputValue(selector);
+        }
+        return profile;
+    }
+
+    /**
+     * Change contact fields and submit the form
+     * @param {Object} changes - Contact fields to change, in the userFactory.build() shape
+     */
+    async updateProfile(changes) {
+        if (!(await this.isUpdateProfilePageLoaded())) {
+            throw new Error('Update profile form is not available');
+        }
+
+        console.log(`Updating profile fields: ${Object.keys(changes).join(', ')}`);
+        for (const [field, value] of Object.entries(changes)) {
+            const selector = this.profileFields[field];
+            if (!selector) {
+                throw new Error(`Field "${field}" is not on the update profile form`);
+            }
+            await this.fillField(selector, value);
+        }
+
+        await this.clickElement(this.elements.updateProfileButton);
+        await this.waitForPageLoad();
+        await this.waitForElement(`${this.elements.resultPanel}:visible, ${this.elements.errorMessage}:visible`);
+    }
+
+    /**
+     * Check whether the "Profile Updated" confirmation is shown
+     * @returns {Promise<boolean>} True if the update was confirmed
+     */
+    async isProfileUpdated() {
+        return await this.isElementVisible(this.elements.resultTitle);
+    }
+}
+
+module.exports = UpdateProfilePage;
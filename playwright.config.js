@@ -1,5 +1,12 @@
 // @ts-check
 const { defineConfig, devices } = require('@playwright/test');
+const { getActiveEnvironment } = require('./utils/environments');
+
+/**
+ * Target environment profile, selected with PARABANK_ENV (local, docker, demo, staging)
+ * See utils/environments.js for what each profile sets.
+ */
+const environment = getActiveEnvironment();
 
 /**
  * Playwright Test Configuration
@@ -25,13 +32,16 @@ module.exports = defineConfig({
     ['html', { outputFolder: 'test-results/html-report' }],
     ['json', { outputFile: 'test-results/results.json' }],
     ['junit', { outputFile: 'test-results/junit.xml' }],
+    ['./utils/TestExecutionReporter.js', { outputFile: 'test-results/test-execution-report.html' }],
+    /* Reads results.json, so it must stay after the json reporter */
+    ['./utils/ExecutionSummaryReporter.js', { resultsFile: 'test-results/results.json' }],
     ['line']
   ],
   
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
-    /* Base URL to use in actions like `await page.goto('/')`. */
-    baseURL: 'https://parabank.parasoft.com/parabank',
+    /* Base URL to use in actions like `await page.goto('index.htm')`. The trailing slash keeps relative paths under /parabank/. */
+    baseURL: environment.baseURL,
     
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
@@ -43,10 +53,10 @@ module.exports = defineConfig({
     video: 'retain-on-failure',
     
     /* Default timeout for actions */
-    actionTimeout: 30000,
+    actionTimeout: environment.timeouts.action,
     
     /* Default timeout for navigation */
-    navigationTimeout: 30000,
+    navigationTimeout: environment.timeouts.navigation,
     
     /* Ignore HTTPS errors */
     ignoreHTTPSErrors: true,
@@ -126,22 +136,22 @@ module.exports = defineConfig({
   ],
 
   /* Global test timeout */
-  timeout: 120000,
+  timeout: environment.timeouts.test,
 
   /* Expect timeout for assertions */
   expect: {
-    timeout: 10000
+    timeout: environment.timeouts.expect
   },
 
   /* Output folder for test results */
   outputDir: 'test-results/artifacts',
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Start the ParaBank stand-in before the tests when targeting it */
+  webServer: environment.standIn ? {
+    command: 'node utils/stand-in/server.js',
+    url: `${environment.baseURL}index.htm`,
+    reuseExistingServer: !process.env.CI,
+  } : undefined,
 
   /* Global setup and teardown */
   globalSetup: require.resolve('./utils/global-setup.js'),
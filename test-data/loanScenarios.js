@@ -0,0 +1,105 @@
+/**
+ * Test Data for ParaBank Loan Requests
+ * Loan decision scenarios, run as parameterized tests by tests/request-loan.spec.js
+ *
+ * Every scenario is requested by a freshly registered customer, funded from the single
+ * checking account opened at registration (expectedData.initialBalance, $515.50 by default).
+ * ParaBank's default "funds" loan processor approves a loan when the funds left after the
+ * down payment cover 20% of the loan amount. The loanScenarios table stays well clear of
+ * that threshold; the boundary scenarios sit on it, so they are derived from a profile's
+ * expectedData.loanRules and only run where those rules are known.
+ */
+
+/**
+ * @typedef {Object} LoanScenario
+ * @property {string} id - Test case id
+ * @property {string} description - What the scenario exercises
+ * @property {string} amount - Loan amount, as typed into the form
+ * @property {string} downPayment - Down payment, as typed into the form
+ * @property {string} expectedStatus - "Approved" or "Denied"
+ * @property {string|null} expectedReason - Denial reason, or null when approved
+ */
+
+/**
+ * Loan denial reasons, as shown by ParaBank
+ */
+const loanMessages = {
+  insufficientFunds: 'We cannot grant a loan in that amount with your available funds.',
+  insufficientFundsForDownPayment: 'You do not have sufficient funds for the given down payment.'
+};
+
+/**
+ * @type {LoanScenario[]}
+ */
+const loanScenarios = [
+  {
+    id: 'TC 701',
+    description: 'Modest loan with a down payment is approved',
+    amount: '1000',
+    downPayment: '100',
+    expectedStatus: 'Approved',
+    expectedReason: null
+  },
+  {
+    id: 'TC 702',
+    description: 'Loan without a down payment is approved',
+    amount: '2000',
+    downPayment: '0',
+    expectedStatus: 'Approved',
+    expectedReason: null
+  },
+  {
+    id: 'TC 703',
+    description: 'Loan far beyond the available funds is denied',
+    amount: '10000',
+    downPayment: '100',
+    expectedStatus: 'Denied',
+    expectedReason: loanMessages.insufficientFunds
+  },
+  {
+    id: 'TC 704',
+    description: 'Down payment larger than the balance is denied',
+    amount: '1000',
+    downPayment: '600',
+    expectedStatus: 'Denied',
+    expectedReason: loanMessages.insufficientFundsForDownPayment
+  }
+];
+
+/**
+ * Build the scenarios on either side of the available funds threshold
+ * @param {Object} expectedData - Active environment's expectedData
+ * @param {number} expectedData.initialBalance - Balance of the account opened at registration
+ * @param {Object} expectedData.loanRules - Known loan rules: { processor: 'funds', thresholdPercent }
+ * @returns {LoanScenario[]} Boundary scenarios
+ */
+function buildBoundaryScenarios({ initialBalance, loanRules }) {
+  const downPayment = 100;
+  // Largest loan, to the cent, that the funds left after the down payment still cover
+  const limit = Math.floor((initialBalance - downPayment) * 100 / loanRules.thresholdPercent * 100) / 100;
+
+  return [
+    {
+      id: 'TC 705',
+      description: 'Loan at exactly the available funds threshold is approved',
+      amount: limit.toFixed(2),
+      downPayment: String(downPayment),
+      expectedStatus: 'Approved',
+      expectedReason: null
+    },
+    {
+      id: 'TC 706',
+      description: 'Loan just over the available funds threshold is denied',
+      amount: (limit + 0.5).toFixed(2),
+      downPayment: String(downPayment),
+      expectedStatus: 'Denied',
+      expectedReason: loanMessages.insufficientFunds
+    }
+  ];
+}
+
+module.exports = {
+  loanMessages,
+  loanScenarios,
+  buildBoundaryScenarios
+};
@@ -0,0 +1,160 @@
+/**
+ * Test Data for ParaBank Bill Pay
+ * Contains payee data and the invalid-payee validation matrix
+ */
+
+/**
+ * @typedef {Object} Payee
+ * @property {string} name - Payee name
+ * @property {string} address - Street address
+ * @property {string} city - City
+ * @property {string} state - State
+ * @property {string} zipCode - Zip code
+ * @property {string} phone - Phone number
+ * @property {string} accountNumber - Payee account number
+ * @property {string} verifyAccount - Payee account number, typed again
+ * @property {string} amount - Amount to pay, as typed into the form
+ */
+
+/**
+ * Bill pay error messages, as shown by ParaBank
+ */
+const billPayMessages = {
+  nameRequired: 'Payee name is required.',
+  addressRequired: 'Address is required.',
+  cityRequired: 'City is required.',
+  stateRequired: 'State is required.',
+  zipCodeRequired: 'Zip Code is required.',
+  phoneRequired: 'Phone number is required.',
+  accountRequired: 'Account number is required.',
+  accountInvalid: 'Please enter a valid number.',
+  accountMismatch: 'The account numbers do not match.',
+  amountEmpty: 'The amount cannot be empty.',
+  amountInvalid: 'Please enter a valid amount.'
+};
+
+/**
+ * Generate a valid payee
+ * @param {Object} overrides - Fields to replace
+ * @returns {Payee} Payee data
+ */
+function generatePayee(overrides = {}) {
+  const randomNum = Math.floor(Math.random() * 100000);
+  const accountNumber = String(10000 + randomNum);
+
+  return {
+    name: `Utility Co ${randomNum}`,
+    address: `${randomNum % 1000} Power Lane`,
+    city: 'Springfield',
+    state: 'IL',
+    zipCode: '62701',
+    phone: '217-555-0100',
+    accountNumber,
+    verifyAccount: accountNumber,
+    amount: '42.50',
+    ...overrides
+  };
+}
+
+/**
+ * Invalid payee cases: the fields to change and the exact errors expected per field
+ */
+const invalidPayees = [
+  {
+    id: 'TC 411',
+    description: 'Empty payee name',
+    overrides: { name: '' },
+    expectedErrors: { name: billPayMessages.nameRequired }
+  },
+  {
+    id: 'TC 412',
+    description: 'Empty address',
+    overrides: { address: '' },
+    expectedErrors: { address: billPayMessages.addressRequired }
+  },
+  {
+    id: 'TC 413',
+    description: 'Empty city',
+    overrides: { city: '' },
+    expectedErrors: { city: billPayMessages.cityRequired }
+  },
+  {
+    id: 'TC 414',
+    description: 'Empty state',
+    overrides: { state: '' },
+    expectedErrors: { state: billPayMessages.stateRequired }
+  },
+  {
+    id: 'TC 415',
+    description: 'Empty zip code',
+    overrides: { zipCode: '' },
+    expectedErrors: { zipCode: billPayMessages.zipCodeRequired }
+  },
+  {
+    id: 'TC 416',
+    description: 'Empty phone number',
+    overrides: { phone: '' },
+    expectedErrors: { phone: billPayMessages.phoneRequired }
+  },
+  {
+    id: 'TC 417',
+    description: 'Empty account and verify account',
+    overrides: { accountNumber: '', verifyAccount: '' },
+    expectedErrors: {
+      accountNumber: billPayMessages.accountRequired,
+      verifyAccount: billPayMessages.accountRequired
+    }
+  },
+  {
+    id: 'TC 418',
+    description: 'Non-numeric account numbers',
+    overrides: { accountNumber: 'ABC', verifyAccount: 'ABC' },
+    expectedErrors: {
+      accountNumber: billPayMessages.accountInvalid,
+      verifyAccount: billPayMessages.accountInvalid
+    }
+  },
+  {
+    id: 'TC 419',
+    description: 'Verify account does not match',
+    overrides: { accountNumber: '12345', verifyAccount: '54321' },
+    expectedErrors: { verifyAccount: billPayMessages.accountMismatch }
+  },
+  {
+    id: 'TC 420',
+    description: 'Empty amount',
+    overrides: { amount: '' },
+    expectedErrors: { amount: billPayMessages.amountEmpty }
+  },
+  {
+    id: 'TC 421',
+    description: 'Non-numeric amount',
+    overrides: { amount: 'ten' },
+    expectedErrors: { amount: billPayMessages.amountInvalid }
+  },
+  {
+    id: 'TC 422',
+    description: 'Every field empty',
+    overrides: {
+      name: '', address: '', city: '', state: '', zipCode: '', phone: '',
+      accountNumber: '', verifyAccount: '', amount: ''
+    },
+    expectedErrors: {
+      name: billPayMessages.nameRequired,
+      address: billPayMessages.addressRequired,
+      city: billPayMessages.cityRequired,
+      state: billPayMessages.stateRequired,
+      zipCode: billPayMessages.zipCodeRequired,
+      phone: billPayMessages.phoneRequired,
+      accountNumber: billPayMessages.accountRequired,
+      verifyAccount: billPayMessages.accountRequired,
+      amount: billPayMessages.amountEmpty
+    }
+  }
+];
+
+module.exports = {
+  billPayMessages,
+  generatePayee,
+  invalidPayees
+};
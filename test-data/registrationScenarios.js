@@ -0,0 +1,285 @@
+/**
+ * Registration Scenarios for ParaBank
+ * Loads the data-driven registration cases kept in test-data/registration/*.csv and
+ * *.json; tests/registration.spec.js turns every row into its own test.
+ *
+ * Each row names the test (id, description), gives the form values, the expected
+ * outcome and the expected messages:
+ * - Form values use the registration field names (firstName ... password, plus
+ *   confirmPassword). A blank CSV cell or a missing JSON key takes the value from the
+ *   seeded user factory; confirmPassword defaults to the row's password.
+ * - "{empty}" submits the field empty and "{existing}" puts in the username of the
+ *   environment's demo customer, which always exists.
+ * - expectedOutcome is "success", "duplicate" or "errors".
+ * - expectedMessages lists messages separated by ";". For duplicate and errors rows each
+ *   message is "field: message", naming the field the error is shown next to; for
+ *   success rows they are texts the welcome page must show. In JSON they can also be
+ *   an object of field errors or an array of texts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { userFactory } = require('./userFactory');
+
+const SCENARIO_DIR = path.join(__dirname, 'registration');
+
+const REGISTRATION_FIELDS = [
+  'firstName', 'lastName', 'address', 'city', 'state', 'zipCode',
+  'phone', 'ssn', 'username', 'password', 'confirmPassword'
+];
+
+const OUTCOMES = ['success', 'duplicate', 'errors'];
+
+const EMPTY_TOKEN = '{empty}';
+const EXISTING_USERNAME_TOKEN = '{existing}';
+
+/**
+ * @typedef {Object} RegistrationScenario
+ * @property {string} id - Test case id
+ * @property {string} description - What the scenario exercises
+ * @property {string} source - File and line the row came from
+ * @property {Object} fields - Form values as written in the file, keyed by field name
+ * @property {string} expectedOutcome - "success", "duplicate" or "errors"
+ * @property {Object} expectedErrors - Expected error messages keyed by field name
+ * @property {string[]} expectedText - Texts the welcome page must show
+ */
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {{line: number, cells: string[]}[]} Non-blank rows with their line numbers
+ */
+function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim())) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      line++;
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+/**
+ * Parse an expectedMessages value into field errors and page texts
+ * @param {string|Object|string[]} messages - Messages as written in the file
+ * @param {string} outcome - Expected outcome
+ * @param {string} source - Row location, for error messages
+ * @returns {{expectedErrors: Object, expectedText: string[]}} Parsed messages
+ */
+function parseMessages(messages, outcome, source) {
+  if (messages && typeof messages === 'object' && !Array.isArray(messages)) {
+    return { expectedErrors: { ...messages }, expectedText: [] };
+  }
+
+  const entries = (Array.isArray(messages) ? messages : String(messages || '').split(';'))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (outcome === 'success') {
+    return { expectedErrors: {}, expectedText: entries };
+  }
+
+  const expectedErrors = {};
+  for (const entry of entries) {
+    const match = entry.match(/^(\w+):\s*(.+)$/);
+    if (!match) {
+      throw new Error(`${source}: expected message "${entry}" must be written as "field: message"`);
+    }
+    expectedErrors[match[1]] = match[2];
+  }
+  return { expectedErrors, expectedText: [] };
+}
+
+/**
+ * Check a raw row and turn it into a scenario
+ * @param {Object} row - Row values keyed by column name
+ * @param {string} source - Row location, for error messages
+ * @returns {RegistrationScenario} Scenario
+ */
+function toScenario(row, source) {
+  const { id, description, expectedOutcome, expectedMessages, ...values } = row;
+
+  if (!id || !description) {
+    throw new Error(`${source}: every scenario needs an id and a description`);
+  }
+  if (!OUTCOMES.includes(expectedOutcome)) {
+    throw new Error(`${source}: expectedOutcome must be one of ${OUTCOMES.join(', ')}, got "${expectedOutcome}"`);
+  }
+
+  const unknownColumns = Object.keys(values).filter(column => !REGISTRATION_FIELDS.includes(column));
+  if (unknownColumns.length) {
+    throw new Error(`${source}: unknown field(s) ${unknownColumns.join(', ')}`);
+  }
+
+  const { expectedErrors, expectedText } = parseMessages(expectedMessages, expectedOutcome, source);
+  const unknownErrorFields = Object.keys(expectedErrors).filter(field => !REGISTRATION_FIELDS.includes(field));
+  if (unknownErrorFields.length) {
+    throw new Error(`${source}: expected messages name unknown field(s) ${unknownErrorFields.join(', ')}`);
+  }
+  if (expectedOutcome !== 'success' && !Object.keys(expectedErrors).length) {
+    throw new Error(`${source}: ${expectedOutcome} scenarios must list the expected field errors`);
+  }
+
+  return {
+    id,
+    description,
+    source,
+    fields: values,
+    expectedOutcome,
+    expectedErrors,
+    expectedText
+  };
+}
+
+/**
+ * Load the scenarios of one CSV file
+ * @param {string} filePath - CSV file
+ * @returns {RegistrationScenario[]} Scenarios
+ */
+function loadCsvScenarios(filePath) {
+  const fileName = path.relative(path.dirname(SCENARIO_DIR), filePath);
+  const [header, ...rows] = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  const columns = header ? header.cells.map(column => column.trim()) : [];
+
+  return rows.map(({ line, cells }) => {
+    const source = `${fileName}:${line}`;
+    if (cells.length > columns.length) {
+      throw new Error(`${source}: row has ${cells.length} cells but the header has ${columns.length} columns`);
+    }
+    // Blank cells are left out, so the factory fills those fields
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = (cells[index] || '').trim();
+      if (value) {
+        row[column] = value;
+      }
+    });
+    return toScenario(row, source);
+  });
+}
+
+/**
+ * Load the scenarios of one JSON file (an array of rows)
+ * @param {string} filePath - JSON file
+ * @returns {RegistrationScenario[]} Scenarios
+ */
+function loadJsonScenarios(filePath) {
+  const fileName = path.relative(path.dirname(SCENARIO_DIR), filePath);
+  const rows = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rows)) {
+    throw new Error(`${fileName}: expected an array of scenarios`);
+  }
+
+  return rows.map((row, index) => {
+    // JSON rows have no line numbers; an empty string is a deliberately empty field
+    const fields = Object.fromEntries(Object.entries(row).map(([key, value]) =>
+      [key, value === '' && REGISTRATION_FIELDS.includes(key) ? EMPTY_TOKEN : value]));
+    return toScenario(fields, `${fileName}[${index}]`);
+  });
+}
+
+/**
+ * Load every registration scenario, sorted by id
+ * @param {string} directory - Directory holding the scenario files
+ * @returns {RegistrationScenario[]} Scenarios
+ */
+function loadRegistrationScenarios(directory = SCENARIO_DIR) {
+  const scenarios = fs.readdirSync(directory)
+    .sort()
+    .flatMap(fileName => {
+      const filePath = path.join(directory, fileName);
+      if (fileName.endsWith('.csv')) {
+        return loadCsvScenarios(filePath);
+      }
+      if (fileName.endsWith('.json')) {
+        return loadJsonScenarios(filePath);
+      }
+      return [];
+    });
+
+  const seen = new Map();
+  for (const scenario of scenarios) {
+    if (seen.has(scenario.id)) {
+      throw new Error(`${scenario.source}: duplicate scenario id ${scenario.id} (also in ${seen.get(scenario.id)})`);
+    }
+    seen.set(scenario.id, scenario.source);
+  }
+
+  return scenarios.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+}
+
+/**
+ * Build the registration data a scenario submits
+ * @param {RegistrationScenario} scenario - Scenario
+ * @param {Object} options - Build options
+ * @param {string} options.existingUsername - Username to use for "{existing}"
+ * @returns {Object} User data for RegistrationPage.fillRegistrationForm()
+ */
+function buildScenarioUser(scenario, { existingUsername }) {
+  const overrides = {};
+  for (const [field, value] of Object.entries(scenario.fields)) {
+    if (value === EMPTY_TOKEN) {
+      overrides[field] = '';
+    } else if (value === EXISTING_USERNAME_TOKEN) {
+      overrides[field] = existingUsername;
+    } else if (value !== null && value !== undefined) {
+      overrides[field] = String(value);
+    }
+  }
+
+  const user = userFactory.build({ overrides });
+  if (!('confirmPassword' in overrides)) {
+    user.confirmPassword = user.password;
+  }
+  return user;
+}
+
+const registrationScenarios = loadRegistrationScenarios();
+
+module.exports = {
+  registrationScenarios,
+  loadRegistrationScenarios,
+  buildScenarioUser,
+  parseCsv,
+  REGISTRATION_FIELDS
+};
@@ -3,9 +3,27 @@
  * Contains user data for registration and other test scenarios
  */
 
+const { userFactory } = require('./userFactory');
+const { usernameAllocator } = require('../utils/UsernameAllocator');
+
+/**
+ * Give a user a username allocated the first time a test reads it, so loading this
+ * module (every spec import, every --list) allocates nothing
+ * @param {Object} user - User data without a username
+ * @param {string} purpose - Allocation purpose for username-allocations.jsonl
+ * @returns {Object} The same user, with a lazily allocated username
+ */
+function withAllocatedUsername(user, purpose) {
+  let username;
+  return Object.defineProperty(user, 'username', {
+    enumerable: true,
+    get: () => (username = username || usernameAllocator.allocate(purpose))
+  });
+}
+
 const testData = {
   // Base user data for registration tests
-  validUser: {
+  validUser: withAllocatedUsername({
     firstName: 'John',
     lastName: 'Doe',
     address: '123 Main Street',
@@ -14,13 +32,12 @@ const testData = {
     zipCode: '10001',
     phone: '555-123-4567',
     ssn: '123-45-6789',
-    username: `testuser_${Date.now()}_${Math.floor(Math.random() * 10000)}`, // Dynamic username to avoid conflicts
     password: 'TestPassword123!'
-  },
+  }, 'testData.validUser'), // Run-unique username, safe across workers and shards
 
   // Additional test users for different scenarios
   testUsers: {
-    user1: {
+    user1: withAllocatedUsername({
       firstName: 'Alice',
       lastName: 'Smith',
       address: '456 Oak Avenue',
@@ -29,10 +46,9 @@ const testData = {
       zipCode: '90210',
       phone: '555-987-6543',
       ssn: '987-65-4321',
-      username: `alice_${Date.now()}`,
       password: 'AlicePass123!'
-    },
-    user2: {
+    }, 'testData.testUsers.user1'),
+    user2: withAllocatedUsername({
       firstName: 'Bob',
       lastName: 'Johnson',
       address: '789 Pine Road',
@@ -41,9 +57,8 @@ const testData = {
       zipCode: '60601',
       phone: '555-456-7890',
       ssn: '456-78-9012',
-      username: `bob_${Date.now()}`,
       password: 'BobPass123!'
-    }
+    }, 'testData.testUsers.user2')
   },
 
   // Invalid data for negative testing
@@ -74,11 +89,11 @@ const testData = {
     }
   },
 
-  // URLs for different pages
+  // Page paths, relative to the active environment's baseURL
   urls: {
-    home: 'https://parabank.parasoft.com/parabank',
-    register: 'https://parabank.parasoft.com/parabank/register.htm',
-    login: 'https://parabank.parasoft.com/parabank/index.htm'
+    home: 'index.htm',
+    register: 'register.htm',
+    login: 'index.htm'
   },
 
   // Expected messages
@@ -91,7 +106,24 @@ const testData = {
     errorMessages: {
       requiredField: 'This field is required',
       invalidUsername: 'Username already exists',
-      passwordMismatch: 'Passwords did not match'
+      passwordMismatch: 'Passwords did not match',
+      invalidCredentials: 'The username and password could not be verified.',
+      missingCredentials: 'Please enter a username and password.',
+      emptyAmount: 'The amount cannot be empty.',
+      invalidAmount: 'Please enter a valid amount.'
+    },
+    // Registration field errors, keyed by field; every field but phone is required
+    registrationRequiredFields: {
+      firstName: 'First name is required.',
+      lastName: 'Last name is required.',
+      address: 'Address is required.',
+      city: 'City is required.',
+      state: 'State is required.',
+      zipCode: 'Zip Code is required.',
+      ssn: 'Social Security Number is required.',
+      username: 'Username is required.',
+      password: 'Password is required.',
+      confirmPassword: 'Password confirmation is required.'
     }
   },
 
@@ -110,28 +142,6 @@ const testData = {
   }
 };
 
-/**
- * Generate a unique user for testing
- * @returns {Object} User data with unique identifiers
- */
-function generateUniqueUser() {
-  const timestamp = Date.now();
-  const randomNum = Math.floor(Math.random() * 1000);
-  
-  return {
-    firstName: `Test${randomNum}`,
-    lastName: `User${randomNum}`,
-    address: `${randomNum} Test Street`,
-    city: 'TestCity',
-    state: 'TC',
-    zipCode: `${randomNum.toString().padStart(5, '0')}`,
-    phone: `555-${randomNum.toString().padStart(3, '0')}-${timestamp.toString().slice(-4)}`,
-    ssn: `${randomNum.toString().padStart(3, '0')}-${timestamp.toString().slice(-6, -3)}-${timestamp.toString().slice(-3)}`,
-    username: `u${timestamp.toString(36)}${randomNum.toString(36)}${Math.random().toString(36).substr(2, 5)}`,
-    password: `TestPass${randomNum}!`
-  };
-}
-
 /**
  * Get test data based on scenario
  * @param {string} scenario - The test scenario name
@@ -140,7 +150,7 @@ function generateUniqueUser() {
 function getTestData(scenario) {
   switch (scenario) {
     case 'valid_registration':
-      return generateUniqueUser();
+      return userFactory.build();
     case 'duplicate_user':
       return testData.validUser;
     case 'invalid_data':
@@ -148,12 +158,11 @@ function getTestData(scenario) {
     case 'empty_data':
       return testData.invalidData.emptyUser;
     default:
-      return generateUniqueUser();
+      return userFactory.build();
   }
 }
 
 module.exports = {
   testData,
-  generateUniqueUser,
   getTestData
 };
\ No newline at end of file
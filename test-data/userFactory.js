@@ -0,0 +1,159 @@
+/**
+ * Seeded User Factory for ParaBank registration data
+ * Builds realistic, internally consistent US identities with faker.
+ *
+ * The seed comes from TEST_DATA_SEED (set it to replay a failing run); global setup
+ * picks and prints one when it is not set. Each test draws from its own stream
+ * (seed, test id, build number within the test), so replaying a seed rebuilds a test's
+ * identities whichever worker runs it, with fullyParallel or sharding too. Usernames are the exception: they must stay unique
+ * across runs and workers, so they come from utils/UsernameAllocator.js instead.
+ *
+ * Usage: const { userFactory } = require('../test-data/userFactory');
+ *        const user = userFactory.build({ overrides: { state: 'TX' } });
+ */
+
+const faker = require('faker');
+const { usernameAllocator } = require('../utils/UsernameAllocator');
+
+/**
+ * US states with the range of the first three ZIP code digits assigned to them
+ */
+const US_STATES = {
+  AL: [350, 369], AK: [995, 999], AZ: [850, 865], AR: [716, 729], CA: [900, 961],
+  CO: [800, 816], CT: [60, 69], DE: [197, 199], FL: [320, 349], GA: [300, 319],
+  HI: [967, 968], ID: [832, 838], IL: [600, 629], IN: [460, 479], IA: [500, 528],
+  KS: [660, 679], KY: [400, 427], LA: [700, 714], ME: [39, 49], MD: [206, 219],
+  MA: [10, 27], MI: [480, 499], MN: [550, 567], MS: [386, 397], MO: [630, 658],
+  MT: [590, 599], NE: [680, 693], NV: [889, 898], NH: [30, 38], NJ: [70, 89],
+  NM: [870, 884], NY: [100, 149], NC: [270, 289], ND: [580, 588], OH: [430, 459],
+  OK: [730, 749], OR: [970, 979], PA: [150, 196], RI: [28, 29], SC: [290, 299],
+  SD: [570, 577], TN: [370, 385], TX: [750, 799], UT: [840, 847], VT: [50, 59],
+  VA: [220, 246], WA: [980, 994], WV: [247, 268], WI: [530, 549], WY: [820, 831]
+};
+
+/**
+ * Resolve the run's seed, choosing and exporting one if none is set
+ * Exporting it lets workers started later in the run inherit the same seed.
+ * @returns {number} Seed
+ */
+function resolveSeed() {
+  if (!process.env.TEST_DATA_SEED) {
+    process.env.TEST_DATA_SEED = String(Math.floor(Math.random() * 1000000));
+  }
+  const seed = Number(process.env.TEST_DATA_SEED);
+  if (!Number.isInteger(seed)) {
+    throw new Error(`TEST_DATA_SEED must be an integer, got "${process.env.TEST_DATA_SEED}"`);
+  }
+  return seed;
+}
+
+/**
+ * Turn a test id into a faker seed component (32-bit FNV-1a hash)
+ * @param {string} testId - Playwright testInfo.testId, stable across runs
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashTestId(testId) {
+  let hash = 0x811c9dc5;
+  for (const char of String(testId)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Check whether a zip code belongs to a state
+ * @param {string} zipCode - Five-digit zip code
+ * @param {string} state - Two-letter state code
+ * @returns {boolean} True if the zip code's prefix is assigned to the state
+ */
+function isZipInState(zipCode, state) {
+  const range = US_STATES[state];
+  if (!range || !/^\d{5}$/.test(zipCode)) {
+    return false;
+  }
+  const prefix = Number(zipCode.slice(0, 3));
+  return prefix >= range[0] && prefix <= range[1];
+}
+
+/**
+ * UserFactory class builds registration users from a seeded faker stream
+ */
+class UserFactory {
+  /**
+   * @param {Object} options - Factory options
+   * @param {number} options.seed - Seed for the run
+   */
+  constructor({ seed = resolveSeed() } = {}) {
+    this.seed = seed;
+    this.testId = '';
+    this.stream = hashTestId(this.testId);
+    this.sequence = 0;
+  }
+
+  /**
+   * Switch to the stream of a test; the fixtures call this before every test
+   * @param {string} testId - Playwright testInfo.testId
+   */
+  startTest(testId) {
+    this.testId = testId;
+    this.stream = hashTestId(testId);
+    this.sequence = 0;
+  }
+
+  /**
+   * Build a user in the shape RegistrationPage.fillRegistrationForm() expects
+   * When overrides change the state but not the zip code, the zip code follows the state.
+   * @param {Object} options - Build options
+   * @param {Object} options.overrides - Fields to set instead of generated ones
+   * @returns {Object} User data
+   */
+  build({ overrides = {} } = {}) {
+    // Reseed per build so each identity depends only on (seed, test id, build number)
+    faker.seed([this.seed, this.stream, this.sequence++]);
+
+    const firstName = faker.name.firstName();
+    const lastName = faker.name.lastName();
+    const state = overrides.state || faker.random.arrayElement(Object.keys(US_STATES));
+    const [low, high] = US_STATES[state] || US_STATES.NY;
+    const zipPrefix = faker.datatype.number({ min: low, max: high });
+
+    const user = {
+      firstName,
+      lastName,
+      address: faker.address.streetAddress(),
+      city: faker.address.city(),
+      state,
+      zipCode: `${String(zipPrefix).padStart(3, '0')}${String(faker.datatype.number({ min: 1, max: 99 })).padStart(2, '0')}`,
+      // 555-01xx numbers are reserved for fiction, so no real subscriber is used
+      phone: `${faker.datatype.number({ min: 201, max: 989 })}-555-01${String(faker.datatype.number(99)).padStart(2, '0')}`,
+      ssn: this.ssn(),
+      username: overrides.username || usernameAllocator.allocate(),
+      password: `${faker.internet.password(10, false, /[A-Za-z0-9]/)}1!`
+    };
+
+    return { ...user, ...overrides };
+  }
+
+  /**
+   * Make an SSN in a range the SSA issues (area 001-899 except 666)
+   * @returns {string} SSN as AAA-GG-SSSS
+   */
+  ssn() {
+    const area = faker.datatype.number({ min: 1, max: 898 });
+    return [
+      String(area >= 666 ? area + 1 : area).padStart(3, '0'),
+      String(faker.datatype.number({ min: 1, max: 99 })).padStart(2, '0'),
+      String(faker.datatype.number({ min: 1, max: 9999 })).padStart(4, '0')
+    ].join('-');
+  }
+}
+
+const userFactory = new UserFactory();
+
+module.exports = {
+  userFactory,
+  UserFactory,
+  US_STATES,
+  isZipInState,
+  resolveSeed
+};
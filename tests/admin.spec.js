@@ -0,0 +1,36 @@
+const { test, expect } = require('../utils/fixtures');
+const AdminPage = require('../pages/AdminPage');
+
+/**
+ * ParaBank Administration Tests using Page Object Model
+ * Test Suite: Admin page of the target environment, read only: resetting data or changing
+ * settings would disturb tests running in parallel. The stand-in's own admin page is
+ * covered by tests/stand-in.spec.js.
+ */
+test.describe('ParaBank Administration', () => {
+  test.afterEach(async ({ page }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await page.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  test('TC 801 - Admin Page Shows the Current Settings', async ({ page }) => {
+    const adminPage = new AdminPage(page);
+    await adminPage.open();
+    expect(await adminPage.isAdminPageLoaded()).toBeTruthy();
+
+    expect(Object.values(AdminPage.ACCESS_MODES)).toContain(await adminPage.getDataAccessMode());
+    const loanSettings = await adminPage.getLoanSettings();
+    expect(Object.values(AdminPage.LOAN_PROVIDERS)).toContain(loanSettings.provider);
+    expect(Object.values(AdminPage.LOAN_PROCESSORS)).toContain(loanSettings.processor);
+    expect(loanSettings.threshold).toBeGreaterThanOrEqual(0);
+    expect(typeof await adminPage.isJmsServiceRunning()).toBe('boolean');
+  });
+});
@@ -0,0 +1,93 @@
+const { test, expect } = require('../utils/fixtures');
+const { validatePayload, validateListPayload } = require('../utils/schemaValidator');
+const { getActiveEnvironment } = require('../utils/environments');
+
+const { expectedData } = getActiveEnvironment();
+
+/**
+ * ParaBank REST Contract Tests
+ * Test Suite: services/bank response payloads against test-data/schemas.
+ * Each assertion lists every drifted field, so one failing run shows the whole change.
+ */
+test.describe('ParaBank REST Contract', () => {
+  const servicePath = 'services/bank/';
+  const jsonHeaders = { Accept: 'application/json' };
+  let customerId;
+  let accountId;
+
+  /**
+   * GET or POST a services/bank resource and parse the JSON body
+   * @param {import('@playwright/test').APIRequestContext} request - Request context
+   * @param {string} method - HTTP method
+   * @param {string} resource - Resource path below services/bank
+   * @param {Object} params - Query parameters
+   * @returns {Promise<*>} Parsed body
+   */
+  async function fetchJson(request, method, resource, params) {
+    const response = await request.fetch(`${servicePath}${resource}`, { method, params, headers: jsonHeaders });
+    expect(response.ok(), `${method} ${resource} returned ${response.status()}: ${await response.text()}`).toBeTruthy();
+    return await response.json();
+  }
+
+  test.beforeEach(async ({ request }) => {
+    const { username, password } = expectedData.demoCustomer;
+    const customer = await fetchJson(request, 'GET', `login/${username}/${password}`);
+    customerId = customer.id;
+    [{ id: accountId }] = await fetchJson(request, 'GET', `customers/${customerId}/accounts`);
+  });
+
+  test('TC 911 - Customer Payload Matches the Schema', async ({ request }) => {
+    const customer = await fetchJson(request, 'GET', `customers/${customerId}`);
+    expect(validatePayload('customer', customer), 'customers/{customerId} drift').toEqual([]);
+  });
+
+  test('TC 912 - Account Payloads Match the Schema', async ({ request }) => {
+    const accounts = await fetchJson(request, 'GET', `customers/${customerId}/accounts`);
+    expect(validateListPayload('account', accounts), 'customers/{customerId}/accounts drift').toEqual([]);
+
+    const account = await fetchJson(request, 'GET', `accounts/${accountId}`);
+    expect(validatePayload('account', account), 'accounts/{accountId} drift').toEqual([]);
+  });
+
+  test('TC 913 - Transaction Payloads Match the Schema', async ({ request }) => {
+    const transactions = await fetchJson(request, 'GET', `accounts/${accountId}/transactions`);
+    expect(transactions.length, 'the demo customer has transactions').toBeGreaterThan(0);
+    expect(validateListPayload('transaction', transactions), 'accounts/{accountId}/transactions drift').toEqual([]);
+
+    const transaction = await fetchJson(request, 'GET', `transactions/${transactions[0].id}`);
+    expect(validatePayload('transaction', transaction), 'transactions/{transactionId} drift').toEqual([]);
+  });
+
+  test('TC 914 - Loan Response Payload Matches the Schema', async ({ request }) => {
+    // A loan far beyond any balance is denied, so the check leaves no loan account behind
+    const loanResponse = await fetchJson(request, 'POST', 'requestLoan', {
+      customerId,
+      amount: 100000000,
+      downPayment: 0,
+      fromAccountId: accountId
+    });
+    expect(loanResponse.approved).toBe(false);
+    expect(validatePayload('loan-response', loanResponse), 'requestLoan drift').toEqual([]);
+  });
+});
+
+test.describe('ParaBank REST Contract Drift Reporting', () => {
+  test('TC 915 - Drift Report Lists Every Drifted Field', async () => {
+    const drifted = {
+      id: '12212',
+      firstName: 'John',
+      address: { street: '1431 Main St', city: 'Beverly Hills', state: 'CA', postalCode: '90210' },
+      phone: '310-447-4121',
+      ssn: '622-11-9999'
+    };
+
+    expect(validatePayload('customer', drifted).sort()).toEqual([
+      'address.postalCode: unexpected field',
+      'address.zipCode: missing',
+      'id: expected integer',
+      'lastName: missing',
+      'phone: unexpected field',
+      'phoneNumber: missing'
+    ]);
+  });
+});
@@ -0,0 +1,140 @@
+const { test, expect } = require('../utils/fixtures');
+const { ParaBankApiError } = require('../utils/ParaBankApiClient');
+const AccountsOverviewPage = require('../pages/AccountsOverviewPage');
+const { userFactory } = require('../test-data/userFactory');
+const { generatePayee } = require('../test-data/payeeData');
+const { getActiveEnvironment } = require('../utils/environments');
+
+const { expectedData } = getActiveEnvironment();
+
+/**
+ * ParaBank REST API Client Tests
+ * Test Suite: services/bank client. TC 901-906 run offline against a stand-in private
+ * to the worker; TC 907 checks the target environment's UI against its API.
+ */
+test.describe('ParaBank REST API Client', () => {
+  /**
+   * Register a customer directly in the private stand-in
+   * @returns {{user: Object, customer: Object}} Registration data and stored customer
+   */
+  function registerInStandIn(privateStandIn) {
+    const user = userFactory.build();
+    return { user, customer: privateStandIn.store.register(user) };
+  }
+
+  test('TC 901 - Log In Over the API', async ({ standInApiClient }) => {
+    const { username, password } = expectedData.demoCustomer;
+
+    const customer = await standInApiClient.login(username, password);
+    expect(customer).toMatchObject({
+      id: expect.any(Number),
+      firstName: 'John',
+      lastName: 'Smith',
+      address: expect.objectContaining({ city: expect.any(String), zipCode: expect.any(String) })
+    });
+
+    const error = await standInApiClient.login(username, 'wrong-password').catch(caught => caught);
+    expect(error).toBeInstanceOf(ParaBankApiError);
+    expect(error.status).toBe(400);
+    expect(error.message).toContain('Invalid username and/or password');
+  });
+
+  test('TC 902 - Look Up a Customer and Their Accounts', async ({ standInApiClient, privateStandIn }) => {
+    const { user, customer } = registerInStandIn(privateStandIn);
+
+    expect(await standInApiClient.getCustomer(customer.id)).toEqual({
+      id: customer.id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      address: { street: user.address, city: user.city, state: user.state, zipCode: user.zipCode },
+      phoneNumber: user.phone,
+      ssn: user.ssn
+    });
+
+    const accounts = await standInApiClient.getAccounts(customer.id);
+    expect(accounts).toEqual([{
+      id: expect.any(Number),
+      customerId: customer.id,
+      type: 'CHECKING',
+      balance: expectedData.initialBalance
+    }]);
+    expect(await standInApiClient.getAccount(accounts[0].id)).toEqual(accounts[0]);
+
+    await expect(standInApiClient.getCustomer(1)).rejects.toThrow('Could not find customer #1');
+  });
+
+  test('TC 903 - Transfer Funds and Read the Transactions', async ({ standInApiClient, privateStandIn }) => {
+    const { customer } = registerInStandIn(privateStandIn);
+    const [checking] = await standInApiClient.getAccounts(customer.id);
+    const savings = await standInApiClient.createAccount(customer.id, 'SAVINGS', checking.id);
+
+    expect(savings).toMatchObject({ customerId: customer.id, type: 'SAVINGS', balance: expectedData.minimumDeposit });
+
+    const confirmation = await standInApiClient.transfer(checking.id, savings.id, 25.5);
+    expect(confirmation).toBe(`Successfully transferred $25.50 from account #${checking.id} to account #${savings.id}`);
+    expect((await standInApiClient.getAccount(savings.id)).balance).toBeCloseTo(expectedData.minimumDeposit + 25.5, 2);
+    expect((await standInApiClient.getAccount(checking.id)).balance)
+      .toBeCloseTo(expectedData.initialBalance - expectedData.minimumDeposit - 25.5, 2);
+
+    const transactions = await standInApiClient.getTransactions(savings.id);
+    const received = transactions[transactions.length - 1];
+    expect(received).toMatchObject({ accountId: savings.id, type: 'Credit', amount: 25.5, description: 'Funds Transfer Received' });
+    expect(received.date).toBeInstanceOf(Date);
+    expect(await standInApiClient.getTransaction(received.id)).toEqual(received);
+  });
+
+  test('TC 904 - Pay a Bill Over the API', async ({ standInApiClient, privateStandIn }) => {
+    const { customer } = registerInStandIn(privateStandIn);
+    const [account] = await standInApiClient.getAccounts(customer.id);
+    const payee = generatePayee();
+
+    expect(await standInApiClient.payBill(account.id, payee.amount, payee)).toEqual({
+      payeeName: payee.name,
+      amount: Number(payee.amount),
+      accountId: account.id
+    });
+    expect((await standInApiClient.getAccount(account.id)).balance)
+      .toBeCloseTo(expectedData.initialBalance - Number(payee.amount), 2);
+  });
+
+  test('TC 905 - Request Approved and Denied Loans', async ({ standInApiClient, privateStandIn }) => {
+    const { customer } = registerInStandIn(privateStandIn);
+    const [account] = await standInApiClient.getAccounts(customer.id);
+
+    const approved = await standInApiClient.requestLoan({
+      customerId: customer.id, amount: 1000, downPayment: 100, fromAccountId: account.id
+    });
+    expect(approved).toMatchObject({ approved: true, message: null, accountId: expect.any(Number) });
+    expect(approved.responseDate).toBeInstanceOf(Date);
+    expect(await standInApiClient.getAccount(approved.accountId)).toMatchObject({ type: 'LOAN', balance: 1000 });
+
+    const denied = await standInApiClient.requestLoan({
+      customerId: customer.id, amount: 100000, downPayment: 100, fromAccountId: account.id
+    });
+    expect(denied).toMatchObject({ approved: false, accountId: null, message: expect.stringContaining('cannot grant a loan') });
+  });
+
+  test('TC 906 - Errors Name the Failed Request', async ({ standInApiClient }) => {
+    const error = await standInApiClient.transfer(1, 2, 10).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ParaBankApiError);
+    expect(error.message).toBe('ParaBank API POST transfer failed with 400: Could not find account #1');
+    expect(error.method).toBe('POST');
+    expect(error.url).toContain('services/bank/transfer');
+    await expect(standInApiClient.createAccount(1, 'BROKERAGE', 2)).rejects.toThrow('Unknown account type "BROKERAGE"');
+  });
+
+  test('TC 907 - Accounts Overview Matches the API', async ({ authenticatedPage, registeredUser, apiClient }) => {
+    const customer = await apiClient.login(registeredUser.username, registeredUser.password);
+    const apiAccounts = await apiClient.getAccounts(customer.id);
+
+    const accountsOverviewPage = new AccountsOverviewPage(authenticatedPage);
+    await accountsOverviewPage.open();
+    const uiAccounts = await accountsOverviewPage.getAccounts();
+
+    expect(uiAccounts.map(account => account.accountId)).toEqual(apiAccounts.map(account => String(account.id)));
+    for (const apiAccount of apiAccounts) {
+      expect(await accountsOverviewPage.getBalance(apiAccount.id)).toBeCloseTo(apiAccount.balance, 2);
+    }
+  });
+});
@@ -0,0 +1,68 @@
+const { test, expect } = require('../utils/fixtures');
+const BillPayPage = require('../pages/BillPayPage');
+const AccountsOverviewPage = require('../pages/AccountsOverviewPage');
+const { generatePayee, invalidPayees } = require('../test-data/payeeData');
+
+/**
+ * ParaBank Bill Pay Tests using Page Object Model
+ * Test Suite: Bill Payment Service
+ */
+test.describe('ParaBank Bill Pay', () => {
+  test.afterEach(async ({ authenticatedPage }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await authenticatedPage.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  test('TC 401 - Successful Bill Payment', async ({ authenticatedPage }) => {
+    const billPayPage = new BillPayPage(authenticatedPage);
+    const accountsOverviewPage = new AccountsOverviewPage(authenticatedPage);
+    const payee = generatePayee();
+    let fromAccount;
+
+    await test.step('Read the paying account balance', async () => {
+      await accountsOverviewPage.open();
+      [fromAccount] = await accountsOverviewPage.getAccounts();
+    });
+
+    await test.step('Pay the payee', async () => {
+      await billPayPage.open();
+      expect(await billPayPage.isBillPayPageLoaded()).toBeTruthy();
+
+      const confirmation = await billPayPage.payBill(payee, fromAccount.accountId);
+      expect(confirmation).toEqual({
+        payeeName: payee.name,
+        amount: Number(payee.amount),
+        fromAccountId: fromAccount.accountId
+      });
+    });
+
+    await test.step('Verify the paying account was debited', async () => {
+      await accountsOverviewPage.open();
+      expect(await accountsOverviewPage.getBalance(fromAccount.accountId))
+        .toBeCloseTo(fromAccount.balance - Number(payee.amount), 2);
+    });
+  });
+
+  for (const { id, description, overrides, expectedErrors } of invalidPayees) {
+    test(`${id} - Bill Pay Validation: ${description}`, async ({ authenticatedPage }) => {
+      const billPayPage = new BillPayPage(authenticatedPage);
+
+      await billPayPage.open();
+      expect(await billPayPage.isBillPayPageLoaded()).toBeTruthy();
+
+      await billPayPage.fillPayeeForm(generatePayee(overrides));
+      await billPayPage.submit();
+
+      expect(await billPayPage.getFieldErrors()).toEqual(expectedErrors);
+      expect(await billPayPage.isElementVisible(billPayPage.elements.resultPanel)).toBeFalsy();
+    });
+  }
+});
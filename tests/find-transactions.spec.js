@@ -0,0 +1,113 @@
+const { test, expect } = require('../utils/fixtures');
+const FindTransactionsPage = require('../pages/FindTransactionsPage');
+const TransferFundsPage = require('../pages/TransferFundsPage');
+const AccountsOverviewPage = require('../pages/AccountsOverviewPage');
+const OpenNewAccountPage = require('../pages/OpenNewAccountPage');
+const TestHelpers = require('../utils/TestHelpers');
+
+/**
+ * ParaBank Find Transactions Tests using Page Object Model
+ * Test Suite: Find Transactions
+ */
+test.describe('ParaBank Find Transactions', () => {
+  test.afterEach(async ({ authenticatedPage }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await authenticatedPage.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  test('TC 501 - Find a Known Transfer by Every Search Mode', async ({ authenticatedPage }) => {
+    const findTransactionsPage = new FindTransactionsPage(authenticatedPage);
+    // The transfer leaves a freshly opened account, which no other test can debit, so the
+    // amount search matches only this transfer. The amount stays below the account's
+    // opening deposit, the only other transaction on it.
+    const amount = `${TestHelpers.generateRandomNumber(10, 99)}.${TestHelpers.generateRandomNumber(10, 99)}`;
+    let sourceAccountId;
+    let knownTransaction;
+
+    await test.step('Create a known transfer from a new account', async () => {
+      const accountsOverviewPage = new AccountsOverviewPage(authenticatedPage);
+      await accountsOverviewPage.open();
+      const [fundingAccount] = await accountsOverviewPage.getAccounts();
+
+      const openNewAccountPage = new OpenNewAccountPage(authenticatedPage);
+      await openNewAccountPage.open();
+      sourceAccountId = await openNewAccountPage.openAccount(OpenNewAccountPage.ACCOUNT_TYPES.SAVINGS, fundingAccount.accountId);
+
+      const transferFundsPage = new TransferFundsPage(authenticatedPage);
+      await transferFundsPage.open();
+      await transferFundsPage.transfer(amount, sourceAccountId, fundingAccount.accountId);
+    });
+
+    await test.step('Find the transfer by amount', async () => {
+      await findTransactionsPage.open();
+      const transactions = await findTransactionsPage.findByAmount(sourceAccountId, amount);
+
+      expect(transactions).toHaveLength(1);
+      knownTransaction = transactions[0];
+      // The server dates transactions in its own timezone, so later searches use its date
+      expect(knownTransaction.date).toMatch(/^\d{2}-\d{2}-\d{4}$/);
+      expect(knownTransaction).toMatchObject({
+        description: 'Funds Transfer Sent',
+        debit: Number(amount),
+        credit: null
+      });
+      expect(knownTransaction.id).toMatch(/^\d+$/);
+    });
+
+    await test.step('Find the transfer by transaction id', async () => {
+      await findTransactionsPage.open();
+      const transactions = await findTransactionsPage.findById(sourceAccountId, knownTransaction.id);
+      expect(transactions).toEqual([knownTransaction]);
+    });
+
+    await test.step('Find the transfer by date', async () => {
+      await findTransactionsPage.open();
+      const transactions = await findTransactionsPage.findByDate(sourceAccountId, knownTransaction.date);
+      expect(transactions).toContainEqual(knownTransaction);
+    });
+
+    await test.step('Find the transfer by date range', async () => {
+      const [month, day, year] = knownTransaction.date.split('-').map(Number);
+      const dayBefore = TestHelpers.formatParaBankDate(new Date(year, month - 1, day - 1));
+      await findTransactionsPage.open();
+      const transactions = await findTransactionsPage.findByDateRange(sourceAccountId, dayBefore, knownTransaction.date);
+      expect(transactions).toContainEqual(knownTransaction);
+    });
+  });
+
+  test('TC 502 - Search With No Matching Transactions', async ({ authenticatedPage }) => {
+    const findTransactionsPage = new FindTransactionsPage(authenticatedPage);
+    const accountsOverviewPage = new AccountsOverviewPage(authenticatedPage);
+    await accountsOverviewPage.open();
+    const [account] = await accountsOverviewPage.getAccounts();
+
+    await findTransactionsPage.open();
+    expect(await findTransactionsPage.findByAmount(account.accountId, '98765.43')).toEqual([]);
+  });
+
+  const invalidSearches = [
+    { id: 'TC 503', mode: 'DATE', criteria: { date: '2024/13/45' }, message: 'Invalid date format' },
+    { id: 'TC 504', mode: 'DATE_RANGE', criteria: { fromDate: '01-01-2024', toDate: 'yesterday' }, message: 'Invalid date range' }
+  ];
+
+  for (const { id, mode, criteria, message } of invalidSearches) {
+    test(`${id} - ${mode} Search Rejects Invalid Dates`, async ({ authenticatedPage }) => {
+      const findTransactionsPage = new FindTransactionsPage(authenticatedPage);
+      const accountsOverviewPage = new AccountsOverviewPage(authenticatedPage);
+      await accountsOverviewPage.open();
+      const [account] = await accountsOverviewPage.getAccounts();
+
+      await findTransactionsPage.open();
+      await findTransactionsPage.search(FindTransactionsPage.SEARCH_MODES[mode], account.accountId, criteria);
+      expect(await findTransactionsPage.getSearchError()).toBe(message);
+    });
+  }
+});
@@ -0,0 +1,52 @@
+const { test, expect } = require('../utils/fixtures');
+const {
+  registerAndLogin,
+  registerLogoutLogin,
+  registerThenOpenSavingsAndTransfer
+} = require('../utils/journeys');
+const { getActiveEnvironment } = require('../utils/environments');
+
+const { expectedData } = getActiveEnvironment();
+
+/**
+ * ParaBank Customer Journeys
+ * Test Suite: End-to-end flows from utils/journeys.js
+ */
+test.describe('ParaBank Customer Journeys', () => {
+  test.afterEach(async ({ page }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await page.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  test('TC 951 - New Customer Lands Logged In With a Funded Account', async ({ page }) => {
+    const journey = await registerAndLogin(page);
+
+    expect(journey.customerName).toBe(`${journey.user.firstName} ${journey.user.lastName}`);
+    expect(journey.balances).toEqual({ [journey.checkingAccountId]: expectedData.initialBalance });
+  });
+
+  test('TC 952 - New Customer Can Log Out and Back In', async ({ page }) => {
+    const journey = await registerLogoutLogin(page, { overrides: { firstName: 'Morgan' } });
+
+    expect(journey.customerName).toBe(`Morgan ${journey.user.lastName}`);
+    expect(Object.keys(journey.balances)).toEqual([journey.checkingAccountId]);
+  });
+
+  test('TC 953 - New Customer Opens Savings and Moves Money Into It', async ({ page }) => {
+    const journey = await registerThenOpenSavingsAndTransfer(page, { amount: '25.50' });
+    const { checkingAccountId, savingsAccountId } = journey;
+
+    expect(journey.transfer).toEqual({ amount: 25.5, fromAccountId: checkingAccountId, toAccountId: savingsAccountId });
+    expect(journey.openingBalances[savingsAccountId]).toBeCloseTo(expectedData.minimumDeposit, 2);
+    expect(journey.balances[checkingAccountId]).toBeCloseTo(journey.openingBalances[checkingAccountId] - 25.5, 2);
+    expect(journey.balances[savingsAccountId]).toBeCloseTo(journey.openingBalances[savingsAccountId] + 25.5, 2);
+  });
+});
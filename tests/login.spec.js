@@ -0,0 +1,96 @@
+const { test, expect } = require('../utils/fixtures');
+const TestHelpers = require('../utils/TestHelpers');
+const { testData } = require('../test-data/userData');
+
+/**
+ * ParaBank Login Tests using Page Object Model
+ * Test Suite: Customer Login and Logout
+ */
+test.describe('ParaBank Customer Login', () => {
+  test.beforeEach(async ({ loginPage }) => {
+    await loginPage.open();
+  });
+
+  test.afterEach(async ({ page }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await page.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  test('TC 101 - Successful Login Shows Accounts Overview', async ({ page, loginPage, accountsOverviewPage, registeredUser }) => {
+    await test.step('Log in with valid credentials', async () => {
+      await loginPage.login(registeredUser.username, registeredUser.password);
+      expect(await loginPage.isLoggedIn()).toBeTruthy();
+    });
+
+    await test.step('Verify the accounts overview is displayed', async () => {
+      await expect(page).toHaveURL(/overview\.htm/);
+      expect(await accountsOverviewPage.isOverviewPageLoaded()).toBeTruthy();
+      expect(await loginPage.getWelcomeName()).toBe(`${registeredUser.firstName} ${registeredUser.lastName}`);
+    });
+
+    await test.step('Verify the accounts table and total', async () => {
+      const accounts = await accountsOverviewPage.getAccounts();
+      expect(accounts.length).toBeGreaterThan(0);
+
+      for (const account of accounts) {
+        expect(account.accountId).toMatch(/^\d+$/);
+        expect(Number.isNaN(account.balance)).toBeFalsy();
+        expect(Number.isNaN(account.availableAmount)).toBeFalsy();
+      }
+
+      const sum = accounts.reduce((total, account) => total + account.balance, 0);
+      expect(await accountsOverviewPage.getTotal()).toBeCloseTo(sum, 2);
+    });
+  });
+
+  test('TC 102 - Login with Wrong Password', async ({ loginPage, registeredUser }) => {
+    await loginPage.login(registeredUser.username, `${registeredUser.password}-wrong`);
+
+    expect(await loginPage.getErrorMessage()).toBe(testData.messages.errorMessages.invalidCredentials);
+    expect(await loginPage.isLoggedIn()).toBeFalsy();
+  });
+
+  test('TC 103 - Login with Unknown Username', async ({ loginPage }) => {
+    await loginPage.login(`unknown_${TestHelpers.generateRandomString(10)}`, 'NoSuchPassword1!');
+
+    expect(await loginPage.getErrorMessage()).toBe(testData.messages.errorMessages.invalidCredentials);
+    expect(await loginPage.isLoggedIn()).toBeFalsy();
+  });
+
+  test('TC 104 - Login with Empty Fields', async ({ loginPage }) => {
+    await loginPage.login('', '');
+
+    expect(await loginPage.getErrorMessage()).toBe(testData.messages.errorMessages.missingCredentials);
+    expect(await loginPage.isLoggedIn()).toBeFalsy();
+  });
+
+  test('TC 105 - Logout Returns to the Home Page', async ({ page, loginPage, registeredUser }) => {
+    await test.step('Log in', async () => {
+      await loginPage.login(registeredUser.username, registeredUser.password);
+      expect(await loginPage.isLoggedIn()).toBeTruthy();
+    });
+
+    await test.step('Log out', async () => {
+      await loginPage.logout();
+    });
+
+    await test.step('Verify redirect to index.htm with the login panel', async () => {
+      await expect(page).toHaveURL(/index\.htm/);
+      expect(await loginPage.isLoginPanelVisible()).toBeTruthy();
+      expect(await loginPage.isLoggedIn()).toBeFalsy();
+    });
+
+    await test.step('Verify the session has ended', async () => {
+      await page.goto('overview.htm');
+      expect(await loginPage.isLoggedIn()).toBeFalsy();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { test, expect } = require('../utils/fixtures');
+const OpenNewAccountPage = require('../pages/OpenNewAccountPage');
+const AccountsOverviewPage = require('../pages/AccountsOverviewPage');
+const { getActiveEnvironment } = require('../utils/environments');
+
+const { expectedData } = getActiveEnvironment();
+
+/**
+ * ParaBank Open New Account Tests using Page Object Model
+ * Test Suite: Open New Account
+ */
+test.describe('ParaBank Open New Account', () => {
+  test.afterEach(async ({ authenticatedPage }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await authenticatedPage.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  const cases = [
+    { id: 'TC 201', accountType: OpenNewAccountPage.ACCOUNT_TYPES.CHECKING },
+    { id: 'TC 202', accountType: OpenNewAccountPage.ACCOUNT_TYPES.SAVINGS }
+  ];
+
+  for (const { id, accountType } of cases) {
+    test(`${id} - Open a New ${accountType} Account`, async ({ authenticatedPage }) => {
+      const openNewAccountPage = new OpenNewAccountPage(authenticatedPage);
+      const accountsOverviewPage = new AccountsOverviewPage(authenticatedPage);
+      let fundingAccount;
+      let newAccountId;
+
+      await test.step('Read the funding account balance', async () => {
+        await accountsOverviewPage.open();
+        const accounts = await accountsOverviewPage.getAccounts();
+        expect(accounts.length).toBeGreaterThan(0);
+        fundingAccount = accounts[0];
+      });
+
+      await test.step(`Open a ${accountType} account funded from the first account`, async () => {
+        await openNewAccountPage.open();
+        newAccountId = await openNewAccountPage.openAccount(accountType, fundingAccount.accountId);
+
+        expect(await openNewAccountPage.getResultTitle()).toBe('Account Opened!');
+        expect(newAccountId).not.toBe(fundingAccount.accountId);
+      });
+
+      await test.step('Verify the new account on the accounts overview', async () => {
+        await accountsOverviewPage.open();
+        const newAccount = await accountsOverviewPage.getAccount(newAccountId);
+
+        expect(newAccount).toBeDefined();
+        expect(newAccount.balance).toBeCloseTo(expectedData.minimumDeposit, 2);
+        expect(await accountsOverviewPage.getBalance(fundingAccount.accountId))
+          .toBeCloseTo(fundingAccount.balance - expectedData.minimumDeposit, 2);
+      });
+
+      await test.step('Verify the account type on the account details', async () => {
+        await authenticatedPage.goto(`activity.htm?id=${newAccountId}`);
+        await expect(authenticatedPage.locator('#accountType')).toHaveText(accountType);
+      });
+    });
+  }
+});
@@ -0,0 +1,71 @@
+const { test, expect } = require('../utils/fixtures');
+const UpdateProfilePage = require('../pages/UpdateProfilePage');
+const { userFactory } = require('../test-data/userFactory');
+
+/**
+ * Pick the contact fields shown on the update profile page from a user
+ * @param {Object} user - User in the userFactory.build() shape
+ * @returns {Object} Contact fields
+ */
+function contactFieldsOf(user) {
+  const { firstName, lastName, address, city, state, zipCode, phone } = user;
+  return { firstName, lastName, address, city, state, zipCode, phone };
+}
+
+/**
+ * ParaBank Profile Tests using Page Object Model
+ * Test Suite: Registration data persistence and contact info updates
+ */
+test.describe('ParaBank Customer Profile', () => {
+  test.afterEach(async ({ page }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await page.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  test('TC 601 - Registration Data Persists to the Profile and Updates Survive Re-login', async ({ page, homePage, registrationPage, loginPage }) => {
+    const userData = userFactory.build();
+    const updateProfilePage = new UpdateProfilePage(page);
+    // A second factory identity supplies a consistent state and zip code; reusing the
+    // username keeps it from taking another allocation
+    const { address, city, state, zipCode } = userFactory.build({ overrides: { username: userData.username } });
+    const newAddress = { address, city, state, zipCode };
+
+    await test.step('Register a new customer', async () => {
+      await homePage.open();
+      await homePage.clickRegisterLink();
+      await registrationPage.fillRegistrationForm(userData);
+      await registrationPage.submitRegistration();
+      expect(await registrationPage.isRegistrationSuccessful()).toBeTruthy();
+    });
+
+    await test.step('Verify every submitted contact field round-tripped', async () => {
+      await updateProfilePage.open();
+      expect(await updateProfilePage.readProfile()).toEqual(contactFieldsOf(userData));
+    });
+
+    await test.step('Update the address', async () => {
+      await updateProfilePage.updateProfile(newAddress);
+      expect(await updateProfilePage.isProfileUpdated()).toBeTruthy();
+    });
+
+    await test.step('Log out and log back in', async () => {
+      await loginPage.logout();
+      expect(await loginPage.isLoggedIn()).toBeFalsy();
+      await loginPage.login(userData.username, userData.password);
+      expect(await loginPage.isLoggedIn()).toBeTruthy();
+    });
+
+    await test.step('Verify the updated address persisted', async () => {
+      await updateProfilePage.open();
+      expect(await updateProfilePage.readProfile()).toEqual(contactFieldsOf({ ...userData, ...newAddress }));
+    });
+  });
+});
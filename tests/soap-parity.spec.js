@@ -0,0 +1,90 @@
+const { test, expect } = require('../utils/fixtures');
+const { ParaBankSoapError } = require('../utils/ParaBankSoapClient');
+const { ParaBankApiError } = require('../utils/ParaBankApiClient');
+const { userFactory } = require('../test-data/userFactory');
+
+/**
+ * ParaBank SOAP and REST Parity Tests
+ * Test Suite: the same operation over the SOAP web service and the REST API must give
+ * identical results. Runs against the target environment (offline with PARABANK_ENV=local)
+ * at the request level, as a customer registered for each test; no browser is needed.
+ */
+test.describe('ParaBank SOAP and REST Parity', () => {
+  test.describe('for a New Customer', () => {
+    let customer;
+    let checking;
+    let savings;
+
+    test.beforeEach(async ({ apiClient }) => {
+      customer = await apiClient.registerCustomer(userFactory.build());
+      [checking] = await apiClient.getAccounts(customer.id);
+      savings = await apiClient.createAccount(customer.id, 'SAVINGS', checking.id);
+    });
+
+    test('TC 921 - getCustomer Matches the REST Customer', async ({ apiClient, soapClient }) => {
+      const [overSoap, overRest] = await Promise.all([
+        soapClient.getCustomer(customer.id),
+        apiClient.getCustomer(customer.id)
+      ]);
+      expect(overSoap).toEqual(overRest);
+    });
+
+    test('TC 922 - getAccounts Matches the REST Accounts', async ({ apiClient, soapClient }) => {
+      const overSoap = await soapClient.getAccounts(customer.id);
+      expect(overSoap).toHaveLength(2);
+      expect(overSoap).toEqual(await apiClient.getAccounts(customer.id));
+    });
+
+    test('TC 923 - transfer Gives the Same Confirmation and Balances', async ({ apiClient, soapClient }) => {
+      const soapConfirmation = await soapClient.transfer(checking.id, savings.id, 12.5);
+      const restConfirmation = await apiClient.transfer(checking.id, savings.id, 12.5);
+      expect(soapConfirmation).toBe(restConfirmation);
+
+      const accounts = await soapClient.getAccounts(customer.id);
+      expect(accounts).toEqual(await apiClient.getAccounts(customer.id));
+      expect(accounts.find(account => account.id === savings.id).balance).toBeCloseTo(savings.balance + 25, 2);
+    });
+
+    const loans = [
+      { id: 'TC 924', outcome: 'approved', amount: 200, downPayment: 20 },
+      { id: 'TC 925', outcome: 'denied', amount: 100000, downPayment: 20 }
+    ];
+
+    for (const { id, outcome, amount, downPayment } of loans) {
+      test(`${id} - requestLoan Gives the Same ${outcome} Decision`, async ({ apiClient, soapClient }) => {
+        const loan = { customerId: customer.id, amount, downPayment, fromAccountId: checking.id };
+        const overSoap = await soapClient.requestLoan(loan);
+        const overRest = await apiClient.requestLoan(loan);
+
+        // Each call opens its own loan account and is stamped with its own time
+        const decision = ({ approved, loanProviderName, message }) => ({ approved, loanProviderName, message });
+        expect(decision(overSoap)).toEqual(decision(overRest));
+        expect(overSoap.approved).toBe(outcome === 'approved');
+        expect(overSoap.responseDate.toDateString()).toBe(overRest.responseDate.toDateString());
+
+        if (overSoap.approved) {
+          expect(await apiClient.getAccount(overSoap.accountId))
+            .toEqual({ ...(await apiClient.getAccount(overRest.accountId)), id: overSoap.accountId });
+        } else {
+          expect([overSoap.accountId, overRest.accountId]).toEqual([null, null]);
+        }
+      });
+    }
+  });
+
+  test('TC 926 - Faults Match the REST Error for the Same Call', async ({ apiClient, soapClient }) => {
+    // No ParaBank customer has id 1
+    const soapError = await soapClient.getCustomer(1).catch(caught => caught);
+    const restError = await apiClient.getCustomer(1).catch(caught => caught);
+
+    expect(soapError).toBeInstanceOf(ParaBankSoapError);
+    expect(soapError.operation).toBe('getCustomer');
+    expect(soapError.faultCode).toMatch(/\S/);
+    expect(soapError.faultString).toMatch(/\S/);
+    expect(soapError.message).toBe(`ParaBank SOAP getCustomer failed with ${soapError.faultCode}: ${soapError.faultString}`);
+
+    expect(restError).toBeInstanceOf(ParaBankApiError);
+    expect(restError.status).toBeGreaterThanOrEqual(400);
+    expect(restError.body).toContain(soapError.faultString);
+  });
+});
@@ -0,0 +1,170 @@
+const { test, expect } = require('../utils/fixtures');
+const { ParaBankSoapClient } = require('../utils/ParaBankSoapClient');
+const AdminPage = require('../pages/AdminPage');
+const LoginPage = require('../pages/LoginPage');
+const AccountsOverviewPage = require('../pages/AccountsOverviewPage');
+const RequestLoanPage = require('../pages/RequestLoanPage');
+const { testData } = require('../test-data/userData');
+const { getActiveEnvironment } = require('../utils/environments');
+
+const { expectedData } = getActiveEnvironment();
+
+/**
+ * ParaBank Stand-in Self-Tests
+ * Test Suite: the offline stand-in itself (utils/stand-in/server.js), run against a
+ * server private to the worker, started on a free port. These tests say nothing about
+ * real ParaBank. TC 971-974 work at the request level and need no browser.
+ */
+test.describe('ParaBank Stand-in Self-Test', () => {
+  test('TC 971 - Serves the Home Page', async ({ standInRequest }) => {
+    const response = await standInRequest.get('index.htm');
+    expect(response.status()).toBe(200);
+    expect(response.headers()['content-type']).toContain('text/html');
+    expect(await response.text()).toContain('<title>ParaBank |');
+  });
+
+  test('TC 972 - Serves the Registration Form', async ({ standInRequest }) => {
+    const response = await standInRequest.get('register.htm');
+    expect(response.status()).toBe(200);
+
+    const body = await response.text();
+    expect(body).toContain('<form id="customerForm" action="register.htm" method="post">');
+    expect(body).toContain('name="customer.firstName"');
+  });
+
+  test('TC 973 - Answers the REST Routes', async ({ standInRequest }) => {
+    const json = { headers: { Accept: 'application/json' } };
+
+    const login = await standInRequest.get('services/bank/login/john/demo', json);
+    expect(login.status()).toBe(200);
+    const customer = await login.json();
+    expect(customer).toMatchObject({ firstName: 'John', lastName: 'Smith' });
+
+    const accounts = await standInRequest.get(`services/bank/customers/${customer.id}/accounts`, json);
+    expect(accounts.status()).toBe(200);
+    expect((await accounts.json()).length).toBeGreaterThan(0);
+
+    const unknown = await standInRequest.get('services/bank/customers/1', json);
+    expect(unknown.status()).toBeGreaterThanOrEqual(400);
+  });
+
+  test('TC 974 - Answers the SOAP Routes', async ({ standInRequest }) => {
+    const soapRequest = params => standInRequest.post('services/ParaBank', {
+      data: ParaBankSoapClient.buildEnvelope('getCustomer', params),
+      headers: { 'Content-Type': 'text/xml;charset=UTF-8', SOAPAction: '""' }
+    });
+
+    const response = await soapRequest({ customerId: 12212 });
+    expect(response.status()).toBe(200);
+    const body = await response.text();
+    expect(body).toContain('getCustomerResponse');
+    expect(body).toContain('<firstName>John</firstName>');
+
+    const fault = await soapRequest({ customerId: 1 });
+    expect(fault.status()).toBe(500);
+    expect(await fault.text()).toContain('<faultcode>');
+  });
+});
+
+/**
+ * The stand-in's copy of admin.htm: resets and settings changes on the private stand-in.
+ * These check the stand-in's behaviour, not ParaBank's admin page.
+ */
+test.describe('ParaBank Stand-in Self-Test: Admin Page', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  test.afterEach(async ({ standInPage }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await standInPage.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  test('TC 802 - Clean and Initialize the Database', async ({ standInPage }) => {
+    const adminPage = new AdminPage(standInPage);
+    const loginPage = new LoginPage(standInPage);
+    const { username, password } = expectedData.demoCustomer;
+
+    await test.step('Clean the database', async () => {
+      await adminPage.open();
+      expect(await adminPage.cleanDatabase()).toBe('Database Cleaned');
+    });
+
+    await test.step('Verify the demo customer is gone', async () => {
+      await loginPage.open();
+      await loginPage.login(username, password);
+      expect(await loginPage.getErrorMessage()).toBe(testData.messages.errorMessages.invalidCredentials);
+    });
+
+    await test.step('Initialize the database', async () => {
+      await adminPage.open();
+      expect(await adminPage.initializeDatabase()).toBe('Database Initialized');
+    });
+
+    await test.step('Verify the demo customer and baseline accounts are back', async () => {
+      await loginPage.open();
+      await loginPage.login(username, password);
+      expect(await loginPage.isLoggedIn()).toBeTruthy();
+
+      const accountsOverviewPage = new AccountsOverviewPage(standInPage);
+      await accountsOverviewPage.open();
+      expect((await accountsOverviewPage.getAccounts()).length).toBeGreaterThan(0);
+    });
+  });
+
+  test('TC 803 - Start and Stop the JMS Service', async ({ standInPage }) => {
+    const adminPage = new AdminPage(standInPage);
+    await adminPage.open();
+    expect(await adminPage.isJmsServiceRunning()).toBeFalsy();
+
+    await adminPage.setJmsServiceRunning(true);
+    expect(await adminPage.isJmsServiceRunning()).toBeTruthy();
+
+    await adminPage.setJmsServiceRunning(false);
+    expect(await adminPage.isJmsServiceRunning()).toBeFalsy();
+  });
+
+  test('TC 804 - Data Access Mode Persists', async ({ standInPage }) => {
+    const adminPage = new AdminPage(standInPage);
+    await adminPage.open();
+
+    await adminPage.setDataAccessMode(AdminPage.ACCESS_MODES.REST_JSON);
+    await adminPage.open();
+    expect(await adminPage.getDataAccessMode()).toBe(AdminPage.ACCESS_MODES.REST_JSON);
+
+    await adminPage.setDataAccessMode(AdminPage.ACCESS_MODES.JDBC);
+  });
+
+  test('TC 805 - Loan Provider Setting Applies to Loan Requests', async ({ standInPage }) => {
+    const adminPage = new AdminPage(standInPage);
+    const loginPage = new LoginPage(standInPage);
+    const requestLoanPage = new RequestLoanPage(standInPage);
+    const { username, password } = expectedData.demoCustomer;
+
+    await test.step('Switch to the local loan provider', async () => {
+      await adminPage.open();
+      await adminPage.setLoanProvider(AdminPage.LOAN_PROVIDERS.LOCAL);
+      await adminPage.open();
+      expect((await adminPage.getLoanSettings()).provider).toBe(AdminPage.LOAN_PROVIDERS.LOCAL);
+    });
+
+    await test.step('Verify a loan decision comes from the local provider', async () => {
+      await loginPage.open();
+      await loginPage.login(username, password);
+      await requestLoanPage.open();
+      const decision = await requestLoanPage.requestLoan({ amount: '100', downPayment: '10' });
+      expect(decision.provider).toBe('ParaBank');
+    });
+
+    await test.step('Restore the web service loan provider', async () => {
+      await adminPage.open();
+      await adminPage.setLoanProvider(AdminPage.LOAN_PROVIDERS.WEB_SERVICE);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { test, expect } = require('../utils/fixtures');
+const {
+  loadTestSuite,
+  parseTestSuite,
+  resolveSteps,
+  runTestCase,
+  UnmappedStepError
+} = require('../utils/markdownSuite');
+
+/**
+ * TestSuite.md, run as written
+ * Test Suite: every "## TC nnn" section of TestSuite.md, one step per bullet
+ */
+test.describe('TestSuite.md', () => {
+  test.afterEach(async ({ page }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await page.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  for (const testCase of loadTestSuite()) {
+    test(`${testCase.id} - ${testCase.title}`, async ({ page, homePage, registrationPage }) => {
+      test.info().annotations.push({ type: 'test-suite-source', description: `TestSuite.md:${testCase.line}` });
+      await runTestCase(test, testCase, { page, homePage, registrationPage });
+    });
+  }
+});
+
+/**
+ * Markdown parsing and step mapping, without a browser
+ */
+test.describe('TestSuite.md Runner', () => {
+  const markdown = [
+    '# Test suite',
+    '',
+    '## TC 990 - Example case',
+    '',
+    '- Navigate to `index.htm`',
+    '- Click on the Register link.',
+    '- Wave at the teller.',
+    '',
+    '# Notes',
+    '- Not a step'
+  ].join('\n');
+
+  test('TC 961 - Sections Become Test Cases and Bullets Become Steps', async () => {
+    const testCases = parseTestSuite(markdown);
+
+    expect(testCases).toEqual([{
+      id: 'TC 990',
+      title: 'Example case',
+      line: 3,
+      steps: [
+        { text: 'Navigate to `index.htm`', line: 5 },
+        { text: 'Click on the Register link.', line: 6 },
+        { text: 'Wave at the teller.', line: 7 }
+      ]
+    }]);
+
+    // Every step of the real suite must map onto the vocabulary
+    for (const testCase of loadTestSuite()) {
+      expect(() => resolveSteps(testCase.steps), testCase.id).not.toThrow();
+    }
+  });
+
+  test('TC 962 - Unknown Phrases Fail as Unmapped Steps', async () => {
+    const [testCase] = parseTestSuite(markdown);
+    let error;
+    try {
+      resolveSteps(testCase.steps, 'example.md');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(UnmappedStepError);
+    expect(error.steps).toEqual([{ text: 'Wave at the teller.', line: 7 }]);
+    expect(error.message).toContain('Unmapped step(s):\n  - "Wave at the teller." (example.md:7)');
+  });
+});
@@ -0,0 +1,109 @@
+const { test, expect } = require('../utils/fixtures');
+const TransferFundsPage = require('../pages/TransferFundsPage');
+const AccountsOverviewPage = require('../pages/AccountsOverviewPage');
+const OpenNewAccountPage = require('../pages/OpenNewAccountPage');
+const { testData } = require('../test-data/userData');
+
+/**
+ * Read the overview and make sure the customer has two accounts to transfer between
+ * @param {Object} page - Logged-in Playwright page
+ * @returns {Promise<Object[]>} The first two account rows
+ */
+async function getTwoAccounts(page) {
+  const accountsOverviewPage = new AccountsOverviewPage(page);
+  await accountsOverviewPage.open();
+  let accounts = await accountsOverviewPage.getAccounts();
+
+  if (accounts.length < 2) {
+    const openNewAccountPage = new OpenNewAccountPage(page);
+    await openNewAccountPage.open();
+    await openNewAccountPage.openAccount(OpenNewAccountPage.ACCOUNT_TYPES.SAVINGS, accounts[0].accountId);
+    await accountsOverviewPage.open();
+    accounts = await accountsOverviewPage.getAccounts();
+  }
+
+  return accounts.slice(0, 2);
+}
+
+/**
+ * ParaBank Transfer Funds Tests using Page Object Model
+ * Test Suite: Transfer Funds and balance consistency
+ */
+test.describe('ParaBank Transfer Funds', () => {
+  test.afterEach(async ({ authenticatedPage }, testInfo) => {
+    // Take screenshot on failure
+    if (testInfo.status !== testInfo.expectedStatus) {
+      await testInfo.attach('failure screenshot', {
+        body: await authenticatedPage.screenshot({
+          path: `test-results/screenshots/${testInfo.title}-failure-${Date.now()}.png`,
+          fullPage: true
+        }),
+        contentType: 'image/png'
+      });
+    }
+  });
+
+  const validAmounts = [
+    { id: 'TC 301', amount: '25' },
+    { id: 'TC 302', amount: '12.34' },
+    { id: 'TC 303', amount: '0.01' }
+  ];
+
+  for (const { id, amount } of validAmounts) {
+    test(`${id} - Transfer ${amount} Keeps Balances Consistent`, async ({ authenticatedPage }) => {
+      const transferFundsPage = new TransferFundsPage(authenticatedPage);
+      const accountsOverviewPage = new AccountsOverviewPage(authenticatedPage);
+      let source;
+      let destination;
+
+      await test.step('Read balances before the transfer', async () => {
+        [source, destination] = await getTwoAccounts(authenticatedPage);
+      });
+
+      await test.step(`Transfer ${amount} between the accounts`, async () => {
+        await transferFundsPage.open();
+        const confirmation = await transferFundsPage.transfer(amount, source.accountId, destination.accountId);
+
+        expect(confirmation).toEqual({
+          amount: Number(amount),
+          fromAccountId: source.accountId,
+          toAccountId: destination.accountId
+        });
+      });
+
+      await test.step('Verify balances moved by exactly the amount', async () => {
+        await accountsOverviewPage.open();
+
+        expect(await accountsOverviewPage.getBalance(source.accountId))
+          .toBeCloseTo(source.balance - Number(amount), 2);
+        expect(await accountsOverviewPage.getBalance(destination.accountId))
+          .toBeCloseTo(destination.balance + Number(amount), 2);
+      });
+    });
+  }
+
+  const invalidAmounts = [
+    { id: 'TC 304', amount: '', message: testData.messages.errorMessages.emptyAmount },
+    { id: 'TC 305', amount: 'abc', message: testData.messages.errorMessages.invalidAmount }
+  ];
+
+  for (const { id, amount, message } of invalidAmounts) {
+    test(`${id} - Transfer Rejects Amount "${amount}"`, async ({ authenticatedPage }) => {
+      const transferFundsPage = new TransferFundsPage(authenticatedPage);
+      const accountsOverviewPage = new AccountsOverviewPage(authenticatedPage);
+      const [source, destination] = await getTwoAccounts(authenticatedPage);
+
+      await test.step('Submit the transfer with an invalid amount', async () => {
+        await transferFundsPage.open();
+        await transferFundsPage.submitTransfer(amount, source.accountId, destination.accountId);
+        expect(await transferFundsPage.getAmountError()).toBe(message);
+      });
+
+      await test.step('Verify balances are unchanged', async () => {
+        await accountsOverviewPage.open();
+        expect(await accountsOverviewPage.getBalance(source.accountId)).toBeCloseTo(source.balance, 2);
+        expect(await accountsOverviewPage.getBalance(destination.accountId)).toBeCloseTo(destination.balance, 2);
+      });
+    });
+  }
+});
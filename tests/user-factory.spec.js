@@ -0,0 +1,100 @@
+const fs = require('fs');
+const { test, expect } = require('../utils/fixtures');
+const { UserFactory, isZipInState } = require('../test-data/userFactory');
+const { UsernameAllocator } = require('../utils/UsernameAllocator');
+const TestHelpers = require('../utils/TestHelpers');
+
+/**
+ * ParaBank Test Data Factory Tests
+ * Test Suite: Seeded registration data (test-data/userFactory.js) and run-unique
+ * usernames (utils/UsernameAllocator.js)
+ */
+test.describe('ParaBank Test Data Factory', () => {
+  /**
+   * Drop the username, which is unique per build by design
+   */
+  function identityOf({ username, ...identity }) {
+    return identity;
+  }
+
+  test('TC 009 - Factory Builds Consistent US Identities', async () => {
+    const factory = new UserFactory({ seed: 20240101 });
+
+    for (let i = 0; i < 50; i++) {
+      const user = factory.build();
+
+      expect(isZipInState(user.zipCode, user.state), `${user.state} ${user.zipCode}`).toBeTruthy();
+      expect(TestHelpers.isValidPhone(user.phone), user.phone).toBeTruthy();
+      expect(TestHelpers.isValidSSN(user.ssn), user.ssn).toBeTruthy();
+      expect(user.firstName).toMatch(/\S/);
+      expect(user.lastName).toMatch(/\S/);
+      expect(user.address).toMatch(/^\d+ \S/);
+      expect(user.password.length).toBeGreaterThanOrEqual(8);
+    }
+  });
+
+  test('TC 010 - Same Seed Rebuilds the Same Identities', async () => {
+    const first = new UserFactory({ seed: 4242 });
+    const replay = new UserFactory({ seed: 4242 });
+    const otherTest = new UserFactory({ seed: 4242 });
+    first.startTest('spec-a-test-1');
+    replay.startTest('spec-a-test-1');
+    otherTest.startTest('spec-a-test-2');
+
+    const users = [first.build(), first.build(), first.build()];
+    expect([replay.build(), replay.build(), replay.build()].map(identityOf)).toEqual(users.map(identityOf));
+    expect(identityOf(otherTest.build())).not.toEqual(identityOf(users[0]));
+
+    // Starting the test again, as on a retry, restarts its stream
+    first.startTest('spec-a-test-1');
+    expect(identityOf(first.build())).toEqual(identityOf(users[0]));
+    expect(new Set(users.map(user => user.username)).size).toBe(users.length);
+  });
+
+  test('TC 011 - Overrides Replace Fields and Keep the Zip in the State', async () => {
+    const factory = new UserFactory({ seed: 7 });
+
+    const texan = factory.build({ overrides: { state: 'TX', firstName: 'Dana' } });
+    expect(texan).toMatchObject({ state: 'TX', firstName: 'Dana' });
+    expect(isZipInState(texan.zipCode, 'TX')).toBeTruthy();
+
+    const fixedZip = factory.build({ overrides: { state: 'VT', zipCode: '05401' } });
+    expect(fixedZip.zipCode).toBe('05401');
+  });
+
+  test('TC 012 - Allocator Keeps Usernames Unique Across Workers and Shards', async () => {
+    const allocators = [];
+    for (const shardIndex of [1, 2]) {
+      for (const workerIndex of [0, 1, 2]) {
+        allocators.push(new UsernameAllocator({ runId: 'run1', shardIndex, workerIndex, logFile: null }));
+      }
+    }
+
+    const usernames = allocators.flatMap(allocator => [1, 2, 3, 4, 5].map(() => allocator.allocate()));
+    expect(new Set(usernames).size).toBe(usernames.length);
+    expect(usernames[0]).toBe('rrun1s1w0n1');
+    // ParaBank usernames are plain alphanumerics
+    usernames.forEach(username => expect(username).toMatch(/^[a-z0-9]+$/));
+
+    const nextRun = new UsernameAllocator({ runId: 'run2', shardIndex: 1, workerIndex: 0, logFile: null });
+    expect(usernames).not.toContain(nextRun.allocate());
+  });
+
+  test('TC 013 - Allocator Replaces Duplicates and Records Every Allocation', async ({}, testInfo) => {
+    const logFile = testInfo.outputPath('username-allocations.jsonl');
+    const allocator = new UsernameAllocator({ runId: 'run1', shardIndex: 0, workerIndex: 3, logFile });
+
+    const taken = allocator.allocate('TC 013');
+    const replacement = allocator.nextAfterDuplicate(taken);
+    expect(replacement).not.toBe(taken);
+    expect(replacement).toBe('rrun1s0w3n2');
+
+    expect(allocator.allocations).toEqual([
+      expect.objectContaining({ username: taken, purpose: 'TC 013', duplicate: true }),
+      expect.objectContaining({ username: replacement, purpose: `retry after duplicate ${taken}`, runId: 'run1', workerIndex: 3 })
+    ]);
+
+    const logged = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(logged.map(entry => entry.username)).toEqual([taken, replacement]);
+  });
+});
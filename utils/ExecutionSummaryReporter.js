@@ -0,0 +1,63 @@
+/**
+ * Execution Summary reporter
+ * Writes execution-summary.txt and execution-summary.json, next to the json
+ * reporter's results.json once the run has finished (see utils/executionSummary.js).
+ *
+ * Playwright runs global teardown before any reporter's onEnd and calls onEnd in the
+ * order reporters are listed, so this reporter must come after the json reporter.
+ * Runs that produce no test results (--list, or a run stopped before any test ended)
+ * leave the previous summary alone, as does a results file not written by this run.
+ *
+ * Usage in playwright.config.js:
+ *   reporter: [
+ *     ['json', { outputFile: 'test-results/results.json' }],
+ *     ['./utils/ExecutionSummaryReporter.js', { resultsFile: 'test-results/results.json' }]
+ *   ]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeExecutionSummary } = require('./executionSummary');
+
+class ExecutionSummaryReporter {
+  /**
+   * @param {Object} options - Reporter options
+   * @param {string} options.resultsFile - json reporter output, relative to the config file like the json reporter's outputFile
+   */
+  constructor(options = {}) {
+    this.resultsFile = options.resultsFile || path.join('test-results', 'results.json');
+  }
+
+  onBegin(config) {
+    this.resultsFile = path.resolve(config.configFile ? path.dirname(config.configFile) : process.cwd(), this.resultsFile);
+    this.startTime = Date.now();
+    this.testsEnded = 0;
+  }
+
+  onTestEnd() {
+    this.testsEnded++;
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  async onEnd() {
+    if (!this.testsEnded) {
+      console.log('📄 No test results in this run; execution summary not written');
+      return;
+    }
+    if (!fs.existsSync(this.resultsFile) || fs.statSync(this.resultsFile).mtimeMs < this.startTime) {
+      console.warn(`⚠️ ${this.resultsFile} was not written by this run; execution summary not written`);
+      return;
+    }
+
+    try {
+      writeExecutionSummary({ resultsFile: this.resultsFile, outputDir: path.dirname(this.resultsFile) });
+    } catch (error) {
+      console.error('❌ Error writing execution summary:', error.message);
+    }
+  }
+}
+
+module.exports = ExecutionSummaryReporter;
@@ -0,0 +1,316 @@
+/**
+ * ParaBank REST API Client
+ * Wraps ParaBank's services/bank resources on a Playwright APIRequestContext,
+ * for setting up test data and checking the UI against the API.
+ *
+ * Usage: const api = new ParaBankApiClient(request);   // request fixture or request.newContext()
+ */
+
+/**
+ * @typedef {Object} Address
+ * @property {string} street - Street address
+ * @property {string} city - City
+ * @property {string} state - State
+ * @property {string} zipCode - Zip code
+ */
+
+/**
+ * @typedef {Object} Customer
+ * @property {number} id - Customer id
+ * @property {string} firstName - First name
+ * @property {string} lastName - Last name
+ * @property {Address} address - Postal address
+ * @property {string} phoneNumber - Phone number
+ * @property {string} ssn - Social security number
+ */
+
+/**
+ * @typedef {Object} Account
+ * @property {number} id - Account id
+ * @property {number} customerId - Owning customer id
+ * @property {string} type - CHECKING, SAVINGS or LOAN
+ * @property {number} balance - Balance in dollars
+ */
+
+/**
+ * @typedef {Object} Transaction
+ * @property {number} id - Transaction id
+ * @property {number} accountId - Account id
+ * @property {string} type - "Credit" or "Debit"
+ * @property {Date} date - Transaction date
+ * @property {number} amount - Amount in dollars
+ * @property {string} description - Transaction description
+ */
+
+/**
+ * @typedef {Object} LoanResponse
+ * @property {boolean} approved - Whether the loan was approved
+ * @property {string} loanProviderName - Provider that decided
+ * @property {Date} responseDate - Decision date
+ * @property {string|null} message - Denial reason, or null when approved
+ * @property {number|null} accountId - New loan account id when approved
+ */
+
+/**
+ * Error raised when ParaBank answers with a non-success status or an unreadable body
+ */
+class ParaBankApiError extends Error {
+  /**
+   * @param {string} message - What failed
+   * @param {Object} details - Request and response details
+   * @param {string} details.method - HTTP method
+   * @param {string} details.url - Requested URL
+   * @param {number} details.status - Response status
+   * @param {string} details.body - Response body text
+   */
+  constructor(message, { method, url, status, body }) {
+    super(message);
+    this.name = 'ParaBankApiError';
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Account type indexes used by createAccount
+ */
+const ACCOUNT_TYPE_INDEX = {
+  CHECKING: 0,
+  SAVINGS: 1,
+  LOAN: 2
+};
+
+class ParaBankApiClient {
+  /**
+   * @param {import('@playwright/test').APIRequestContext} request - Request context whose baseURL is the ParaBank base URL
+   * @param {Object} options - Client options
+   * @param {string} options.servicePath - REST service path relative to the base URL
+   */
+  constructor(request, { servicePath = 'services/bank/' } = {}) {
+    this.request = request;
+    this.servicePath = servicePath;
+  }
+
+  /**
+   * Send a request and read the response
+   * @param {string} method - HTTP method
+   * @param {string} resource - Resource path below the service path, e.g. "customers/12212"
+   * @param {Object} options - Request options
+   * @param {Object} options.params - Query parameters
+   * @param {Object} options.data - JSON body
+   * @param {boolean} options.json - Whether a JSON body is expected back
+   * @returns {Promise<*>} Parsed JSON, or the response text when options.json is false
+   */
+  async send(method, resource, { params, data, json = true } = {}) {
+    const response = await this.request.fetch(`${this.servicePath}${resource}`, {
+      method,
+      params,
+      data,
+      headers: { Accept: json ? 'application/json' : 'text/plain' }
+    });
+    const body = await response.text();
+    const details = { method, url: response.url(), status: response.status(), body };
+
+    if (!response.ok()) {
+      throw new ParaBankApiError(
+        `ParaBank API ${method} ${resource} failed with ${response.status()}: ${body.trim() || response.statusText()}`,
+        details
+      );
+    }
+    if (!json) {
+      return body;
+    }
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      throw new ParaBankApiError(
+        `ParaBank API ${method} ${resource} returned a non-JSON body: ${body.slice(0, 200)}`,
+        details
+      );
+    }
+  }
+
+  /**
+   * Register a customer by posting the registration form
+   * services/bank has no resource that creates customers, so this one call goes to
+   * register.htm instead of the REST service; no browser is needed.
+   * @param {Object} user - User in the userFactory.build() shape
+   * @returns {Promise<Customer>} The new customer, as the API sees it
+   */
+  async registerCustomer(user) {
+    const response = await this.request.post('register.htm', {
+      form: {
+        'customer.firstName': user.firstName,
+        'customer.lastName': user.lastName,
+        'customer.address.street': user.address,
+        'customer.address.city': user.city,
+        'customer.address.state': user.state,
+        'customer.address.zipCode': user.zipCode,
+        'customer.phoneNumber': user.phone,
+        'customer.ssn': user.ssn,
+        'customer.username': user.username,
+        'customer.password': user.password,
+        repeatedPassword: user.confirmPassword ?? user.password
+      }
+    });
+
+    if (!response.ok()) {
+      const body = await response.text();
+      throw new ParaBankApiError(`ParaBank registration of ${user.username} failed with ${response.status()}`, {
+        method: 'POST', url: response.url(), status: response.status(), body
+      });
+    }
+    return await this.login(user.username, user.password);
+  }
+
+  /**
+   * Log in and get the customer
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Customer>} The customer
+   */
+  async login(username, password) {
+    return await this.send('GET', `login/${encodeURIComponent(username)}/${encodeURIComponent(password)}`);
+  }
+
+  /**
+   * Look up a customer by id
+   * @param {number|string} customerId - Customer id
+   * @returns {Promise<Customer>} The customer
+   */
+  async getCustomer(customerId) {
+    return await this.send('GET', `customers/${customerId}`);
+  }
+
+  /**
+   * List a customer's accounts
+   * @param {number|string} customerId - Customer id
+   * @returns {Promise<Account[]>} Accounts
+   */
+  async getAccounts(customerId) {
+    return await this.send('GET', `customers/${customerId}/accounts`);
+  }
+
+  /**
+   * Get one account
+   * @param {number|string} accountId - Account id
+   * @returns {Promise<Account>} The account
+   */
+  async getAccount(accountId) {
+    return await this.send('GET', `accounts/${accountId}`);
+  }
+
+  /**
+   * Open a new account funded from an existing one
+   * @param {number|string} customerId - Owning customer id
+   * @param {string} type - CHECKING or SAVINGS
+   * @param {number|string} fromAccountId - Funding account id
+   * @returns {Promise<Account>} The new account
+   */
+  async createAccount(customerId, type, fromAccountId) {
+    if (!(type in ACCOUNT_TYPE_INDEX)) {
+      throw new Error(`Unknown account type "${type}". Expected one of: ${Object.keys(ACCOUNT_TYPE_INDEX).join(', ')}`);
+    }
+    return await this.send('POST', 'createAccount', {
+      params: { customerId, newAccountType: ACCOUNT_TYPE_INDEX[type], fromAccountId }
+    });
+  }
+
+  /**
+   * List an account's transactions
+   * @param {number|string} accountId - Account id
+   * @returns {Promise<Transaction[]>} Transactions
+   */
+  async getTransactions(accountId) {
+    const transactions = await this.send('GET', `accounts/${accountId}/transactions`);
+    return transactions.map(toTransaction);
+  }
+
+  /**
+   * Get one transaction
+   * @param {number|string} transactionId - Transaction id
+   * @returns {Promise<Transaction>} The transaction
+   */
+  async getTransaction(transactionId) {
+    return toTransaction(await this.send('GET', `transactions/${transactionId}`));
+  }
+
+  /**
+   * Transfer funds between accounts
+   * @param {number|string} fromAccountId - Source account id
+   * @param {number|string} toAccountId - Destination account id
+   * @param {number|string} amount - Amount in dollars
+   * @returns {Promise<string>} ParaBank's confirmation text
+   */
+  async transfer(fromAccountId, toAccountId, amount) {
+    return await this.send('POST', 'transfer', {
+      params: { fromAccountId, toAccountId, amount },
+      json: false
+    });
+  }
+
+  /**
+   * Pay a bill
+   * @param {number|string} accountId - Paying account id
+   * @param {number|string} amount - Amount in dollars
+   * @param {Object} payee - Payee in the test-data/payeeData.js shape
+   * @returns {Promise<{payeeName: string, amount: number, accountId: number}>} Payment confirmation
+   */
+  async payBill(accountId, amount, payee) {
+    return await this.send('POST', 'billpay', {
+      params: { accountId, amount },
+      data: {
+        name: payee.name,
+        address: {
+          street: payee.address,
+          city: payee.city,
+          state: payee.state,
+          zipCode: payee.zipCode
+        },
+        phoneNumber: payee.phone,
+        accountNumber: Number(payee.accountNumber)
+      }
+    });
+  }
+
+  /**
+   * Request a loan
+   * @param {Object} loan - Loan request
+   * @param {number|string} loan.customerId - Requesting customer id
+   * @param {number|string} loan.amount - Loan amount in dollars
+   * @param {number|string} loan.downPayment - Down payment in dollars
+   * @param {number|string} loan.fromAccountId - Funding account id
+   * @returns {Promise<LoanResponse>} The decision
+   */
+  async requestLoan({ customerId, amount, downPayment, fromAccountId }) {
+    const response = await this.send('POST', 'requestLoan', {
+      params: { customerId, amount, downPayment, fromAccountId }
+    });
+    return {
+      approved: response.approved,
+      loanProviderName: response.loanProviderName,
+      responseDate: new Date(response.responseDate),
+      message: response.message || null,
+      accountId: response.accountId || null
+    };
+  }
+}
+
+/**
+ * Convert a transaction payload, whose date is epoch milliseconds
+ * @param {Object} payload - Transaction JSON
+ * @returns {Transaction} Transaction
+ */
+function toTransaction(payload) {
+  return { ...payload, date: new Date(payload.date) };
+}
+
+ParaBankApiClient.ACCOUNT_TYPE_INDEX = ACCOUNT_TYPE_INDEX;
+
+module.exports = {
+  ParaBankApiClient,
+  ParaBankApiError
+};
@@ -0,0 +1,297 @@
+/**
+ * ParaBank SOAP Web Service Client
+ * Builds SOAP 1.1 envelopes for the ParaBank web service and parses its responses
+ * into the same shapes ParaBankApiClient returns, so SOAP and REST results compare directly.
+ *
+ * Usage: const soap = new ParaBankSoapClient(request);   // request fixture or request.newContext()
+ */
+
+const SERVICE_NAMESPACE = 'http://service.parabank.parasoft.com/';
+
+/**
+ * Error raised for a SOAP fault or an unreadable response
+ */
+class ParaBankSoapError extends Error {
+  /**
+   * @param {string} message - What failed
+   * @param {Object} details - Call details
+   * @param {string} details.operation - SOAP operation
+   * @param {number} details.status - HTTP status
+   * @param {string|null} details.faultCode - SOAP fault code, if a fault was returned
+   * @param {string|null} details.faultString - SOAP fault reason, if a fault was returned
+   * @param {string} details.body - Response body text
+   */
+  constructor(message, { operation, status, faultCode = null, faultString = null, body }) {
+    super(message);
+    this.name = 'ParaBankSoapError';
+    this.operation = operation;
+    this.status = status;
+    this.faultCode = faultCode;
+    this.faultString = faultString;
+    this.body = body;
+  }
+}
+
+/**
+ * Escape text for an XML element
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Decode the predefined and numeric XML entities
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+    }
+    return entities[code] ?? entity;
+  });
+}
+
+/**
+ * Parse XML into a tree of { name, children, text } nodes
+ * Namespace prefixes are dropped and attributes ignored; that is all SOAP responses need.
+ * @param {string} xml - XML document
+ * @returns {{name: string, children: Object[], text: string}} Document node
+ */
+function parseXml(xml) {
+  const document = { name: '#document', children: [], text: '' };
+  const stack = [document];
+  const tokens = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>]+)[^>]*?(\/?)>|([^<]+)/g;
+
+  for (const [, cdata, closing, opening, selfClosing, text] of xml.matchAll(tokens)) {
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing) {
+      const name = closing.replace(/^.*:/, '');
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Malformed XML: unexpected </${closing}>`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const node = { name: opening.replace(/^.*:/, ''), children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+    } else if (text) {
+      current.text += decodeXml(text);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  return document;
+}
+
+/**
+ * Find the first descendant with a name
+ * @param {Object} node - Node to search
+ * @param {string} name - Local element name
+ * @returns {Object|undefined} Matching node
+ */
+function findNode(node, name) {
+  for (const child of node.children) {
+    if (child.name === name) {
+      return child;
+    }
+    const match = findNode(child, name);
+    if (match) {
+      return match;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get a child element's text
+ * @param {Object} node - Parent node
+ * @param {string} name - Child element name
+ * @returns {string|null} Trimmed text, or null if the element is absent
+ */
+function childText(node, name) {
+  const child = node.children.find(candidate => candidate.name === name);
+  return child ? child.text.trim() : null;
+}
+
+/**
+ * Convert a customer element
+ * @returns {import('./ParaBankApiClient').Customer} Customer
+ */
+function toCustomer(node) {
+  const address = node.children.find(child => child.name === 'address') || { children: [] };
+  return {
+    id: Number(childText(node, 'id')),
+    firstName: childText(node, 'firstName'),
+    lastName: childText(node, 'lastName'),
+    address: {
+      street: childText(address, 'street'),
+      city: childText(address, 'city'),
+      state: childText(address, 'state'),
+      zipCode: childText(address, 'zipCode')
+    },
+    phoneNumber: childText(node, 'phoneNumber') ?? '',
+    ssn: childText(node, 'ssn')
+  };
+}
+
+/**
+ * Convert an account element
+ * @returns {import('./ParaBankApiClient').Account} Account
+ */
+function toAccount(node) {
+  return {
+    id: Number(childText(node, 'id')),
+    customerId: Number(childText(node, 'customerId')),
+    type: childText(node, 'type'),
+    balance: Number(childText(node, 'balance'))
+  };
+}
+
+/**
+ * Convert a loanResponse element
+ * @returns {import('./ParaBankApiClient').LoanResponse} Loan decision
+ */
+function toLoanResponse(node) {
+  const accountId = childText(node, 'accountId');
+  return {
+    approved: childText(node, 'approved') === 'true',
+    loanProviderName: childText(node, 'loanProviderName'),
+    responseDate: new Date(childText(node, 'responseDate')),
+    message: childText(node, 'message') || null,
+    accountId: accountId ? Number(accountId) : null
+  };
+}
+
+class ParaBankSoapClient {
+  /**
+   * @param {import('@playwright/test').APIRequestContext} request - Request context whose baseURL is the ParaBank base URL
+   * @param {Object} options - Client options
+   * @param {string} options.servicePath - SOAP endpoint relative to the base URL
+   */
+  constructor(request, { servicePath = 'services/ParaBank' } = {}) {
+    this.request = request;
+    this.servicePath = servicePath;
+  }
+
+  /**
+   * Build a request envelope
+   * @param {string} operation - Operation name
+   * @param {Object} params - Operation parameters in WSDL order
+   * @returns {string} SOAP envelope
+   */
+  static buildEnvelope(operation, params) {
+    const parts = Object.entries(params)
+      .map(([name, value]) => `<${name}>${escapeXml(value)}</${name}>`)
+      .join('');
+    return `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ser="${SERVICE_NAMESPACE}">` +
+      `<soapenv:Header/><soapenv:Body><ser:${operation}>${parts}</ser:${operation}></soapenv:Body></soapenv:Envelope>`;
+  }
+
+  /**
+   * Call an operation and return its response element
+   * @param {string} operation - Operation name
+   * @param {Object} params - Operation parameters in WSDL order
+   * @returns {Promise<Object>} The <operationResponse> node
+   */
+  async call(operation, params) {
+    const response = await this.request.post(this.servicePath, {
+      data: ParaBankSoapClient.buildEnvelope(operation, params),
+      headers: { 'Content-Type': 'text/xml;charset=UTF-8', SOAPAction: '""' }
+    });
+    const body = await response.text();
+    const details = { operation, status: response.status(), body };
+
+    let document;
+    try {
+      document = parseXml(body);
+    } catch (error) {
+      throw new ParaBankSoapError(`ParaBank SOAP ${operation} returned unreadable XML (${response.status()}): ${error.message}`, details);
+    }
+
+    const fault = findNode(document, 'Fault');
+    if (fault) {
+      const faultCode = childText(fault, 'faultcode');
+      const faultString = childText(fault, 'faultstring');
+      throw new ParaBankSoapError(
+        `ParaBank SOAP ${operation} failed with ${faultCode}: ${faultString}`,
+        { ...details, faultCode, faultString }
+      );
+    }
+
+    const result = findNode(document, `${operation}Response`);
+    if (!response.ok() || !result) {
+      throw new ParaBankSoapError(
+        `ParaBank SOAP ${operation} returned ${response.status()} without a ${operation}Response`,
+        details
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Look up a customer by id
+   * @param {number|string} customerId - Customer id
+   * @returns {Promise<import('./ParaBankApiClient').Customer>} The customer
+   */
+  async getCustomer(customerId) {
+    const result = await this.call('getCustomer', { customerId });
+    return toCustomer(findNode(result, 'customer') || result);
+  }
+
+  /**
+   * List a customer's accounts
+   * @param {number|string} customerId - Customer id
+   * @returns {Promise<import('./ParaBankApiClient').Account[]>} Accounts
+   */
+  async getAccounts(customerId) {
+    const result = await this.call('getAccounts', { customerId });
+    return result.children.filter(child => child.name === 'account').map(toAccount);
+  }
+
+  /**
+   * Transfer funds between accounts
+   * @param {number|string} fromAccountId - Source account id
+   * @param {number|string} toAccountId - Destination account id
+   * @param {number|string} amount - Amount in dollars
+   * @returns {Promise<string>} ParaBank's confirmation text
+   */
+  async transfer(fromAccountId, toAccountId, amount) {
+    const result = await this.call('transfer', { fromAccountId, toAccountId, amount });
+    // The return element's name differs between ParaBank builds; it is the only child
+    return result.children.length ? result.children[0].text.trim() : result.text.trim();
+  }
+
+  /**
+   * Request a loan
+   * @param {Object} loan - Loan request
+   * @param {number|string} loan.customerId - Requesting customer id
+   * @param {number|string} loan.amount - Loan amount in dollars
+   * @param {number|string} loan.downPayment - Down payment in dollars
+   * @param {number|string} loan.fromAccountId - Funding account id
+   * @returns {Promise<import('./ParaBankApiClient').LoanResponse>} The decision
+   */
+  async requestLoan({ customerId, amount, downPayment, fromAccountId }) {
+    const result = await this.call('requestLoan', { customerId, amount, downPayment, fromAccountId });
+    return toLoanResponse(findNode(result, 'loanResponse') || result);
+  }
+}
+
+module.exports = {
+  ParaBankSoapClient,
+  ParaBankSoapError,
+  parseXml
+};
@@ -0,0 +1,301 @@
+/**
+ * Test Execution Report reporter
+ * Writes the HTML Test Execution Report TestSuite.md asks for: results grouped by
+ * "TC nnn" id, each test's steps with duration and status, error messages, screenshots
+ * and timestamps. Screenshots are embedded, so the report is a single file that opens
+ * without a server.
+ *
+ * Screenshots come only from each test's own image attachments: Playwright's screenshot
+ * option, the specs' afterEach failure screenshot and the step screenshots the journeys
+ * and the registration workflow take with TestHelpers.takeStepScreenshot(). Attachments belong to one test in one project, so parallel
+ * projects running the same title never share screenshots.
+ *
+ * Usage in playwright.config.js:
+ *   reporter: [['./utils/TestExecutionReporter.js', { outputFile: 'test-results/test-execution-report.html' }]]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const NO_TEST_CASE_ID = 'Other tests';
+
+/**
+ * Escape a value for use in the report's HTML text and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Remove terminal colour codes from error output
+ * @param {string} text - Text that may hold ANSI escapes
+ * @returns {string} Plain text
+ */
+function stripAnsi(text) {
+  return String(text ?? '').replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Format a duration
+ * @param {number} milliseconds - Duration
+ * @returns {string} e.g. "850 ms" or "12.4 s"
+ */
+function formatDuration(milliseconds) {
+  return milliseconds < 1000 ? `${Math.round(milliseconds)} ms` : `${(milliseconds / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Read the "TC nnn" id from a test title
+ * @param {string} title - Test title
+ * @returns {string|null} Test case id, or null when the title has none
+ */
+function testCaseIdOf(title) {
+  const match = title.match(/\bTC\s+(\d+)\b/);
+  return match ? `TC ${match[1]}` : null;
+}
+
+/**
+ * Collect test.step entries, keeping their nesting
+ * @param {Object[]} steps - TestStep objects from a TestResult
+ * @returns {Object[]} Steps as { title, status, durationMs, startTime, error, steps }
+ */
+function collectSteps(steps) {
+  return steps
+    .filter(step => step.category === 'test.step')
+    .map(step => ({
+      title: step.title,
+      status: step.error ? 'failed' : 'passed',
+      durationMs: step.duration,
+      startTime: step.startTime.toISOString(),
+      error: step.error ? stripAnsi(step.error.message).split('\n')[0] : null,
+      steps: collectSteps(step.steps)
+    }));
+}
+
+/**
+ * TestExecutionReporter class implements the Playwright Reporter interface
+ */
+class TestExecutionReporter {
+  /**
+   * @param {Object} options - Reporter options
+   * @param {string} options.outputFile - HTML file to write, relative to the config file like the json reporter's outputFile
+   * @param {string} options.title - Report title
+   */
+  constructor({ outputFile = 'test-results/test-execution-report.html', title = 'ParaBank Test Execution Report' } = {}) {
+    this.outputFile = outputFile;
+    this.configDir = process.cwd();
+    this.title = title;
+    this.tests = new Map();
+    this.startTime = new Date();
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  onBegin(config) {
+    this.startTime = new Date();
+    this.config = config;
+    this.configDir = config.configFile ? path.dirname(config.configFile) : process.cwd();
+    this.outputFile = path.resolve(this.configDir, this.outputFile);
+  }
+
+  onTestEnd(test, result) {
+    const key = test.id;
+    const entry = this.tests.get(key) || {
+      testCaseId: testCaseIdOf(test.title),
+      title: test.title,
+      project: test.parent.project()?.name || '',
+      location: `${path.relative(this.configDir, test.location.file)}:${test.location.line}`,
+      attempts: []
+    };
+
+    entry.attempts.push({
+      status: result.status,
+      expectedStatus: test.expectedStatus,
+      retry: result.retry,
+      startTime: result.startTime.toISOString(),
+      durationMs: result.duration,
+      errors: result.errors.map(error => stripAnsi(error.message || error.value)),
+      steps: collectSteps(result.steps),
+      screenshots: this.collectScreenshots(result)
+    });
+    this.tests.set(key, entry);
+  }
+
+  /**
+   * Gather the screenshots attached to a test attempt, as data URIs
+   * @param {Object} result - TestResult
+   * @returns {Array<{name: string, dataUri: string}>} Screenshots
+   */
+  collectScreenshots(result) {
+    const screenshots = [];
+
+    for (const attachment of result.attachments) {
+      if (!attachment.contentType.startsWith('image/')) {
+        continue;
+      }
+      const body = attachment.body || (attachment.path && fs.existsSync(attachment.path) && fs.readFileSync(attachment.path));
+      if (body) {
+        screenshots.push({ name: attachment.name, dataUri: `data:${attachment.contentType};base64,${body.toString('base64')}` });
+      }
+    }
+
+    return screenshots;
+  }
+
+  onEnd(result) {
+    const groups = new Map();
+    for (const entry of this.tests.values()) {
+      const id = entry.testCaseId || NO_TEST_CASE_ID;
+      groups.set(id, [...(groups.get(id) || []), entry]);
+    }
+
+    const sortedIds = [...groups.keys()].sort((a, b) => {
+      if (a === NO_TEST_CASE_ID || b === NO_TEST_CASE_ID) {
+        return a === NO_TEST_CASE_ID ? 1 : -1;
+      }
+      return Number(a.slice(3)) - Number(b.slice(3));
+    });
+
+    const finalStatuses = [...this.tests.values()].map(entry => this.outcomeOf(entry));
+    const counts = {
+      total: finalStatuses.length,
+      passed: finalStatuses.filter(status => status === 'passed').length,
+      failed: finalStatuses.filter(status => status === 'failed').length,
+      skipped: finalStatuses.filter(status => status === 'skipped').length,
+      flaky: finalStatuses.filter(status => status === 'flaky').length
+    };
+
+    fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+    fs.writeFileSync(this.outputFile, this.renderReport({
+      groups: sortedIds.map(id => [id, groups.get(id)]),
+      counts,
+      runStatus: result.status,
+      endTime: new Date()
+    }));
+  }
+
+  /**
+   * Final outcome of a test across its retries
+   * @param {Object} entry - Collected test
+   * @returns {string} passed, failed, skipped or flaky
+   */
+  outcomeOf(entry) {
+    const last = entry.attempts[entry.attempts.length - 1];
+    if (last.status === 'skipped') {
+      return 'skipped';
+    }
+    if (last.status !== last.expectedStatus) {
+      return 'failed';
+    }
+    return entry.attempts.length > 1 ? 'flaky' : 'passed';
+  }
+
+  /**
+   * Render the whole report
+   * @param {Object} data - Grouped tests, counts, run status and end time
+   * @returns {string} HTML document
+   */
+  renderReport({ groups, counts, runStatus, endTime }) {
+    const passRate = counts.total ? ((counts.passed + counts.flaky) / counts.total * 100).toFixed(1) : '0.0';
+    const sections = groups.map(([id, entries]) => this.renderTestCase(id, entries)).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(this.title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; margin: 24px; color: #222; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #555; margin-bottom: 16px; }
+  .summary td, .summary th { padding: 4px 12px; text-align: left; }
+  section { border: 1px solid #ccc; border-radius: 4px; margin: 16px 0; padding: 8px 16px; }
+  section > h2 { font-size: 18px; }
+  .test { border-top: 1px solid #eee; padding: 8px 0; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 3px; color: #fff; font-size: 12px; text-transform: uppercase; }
+  .passed { background: #2e7d32; } .failed, .timedOut, .interrupted { background: #c62828; }
+  .skipped { background: #757575; } .flaky { background: #ef6c00; }
+  table.steps { border-collapse: collapse; width: 100%; margin: 8px 0; }
+  table.steps td, table.steps th { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+  pre.error { background: #fdecea; padding: 8px; white-space: pre-wrap; }
+  img.screenshot { max-width: 640px; border: 1px solid #ccc; display: block; margin: 4px 0 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(this.title)}</h1>
+<div class="meta">Started ${escapeHtml(this.startTime.toISOString())} &middot; finished ${escapeHtml(endTime.toISOString())} &middot; duration ${formatDuration(endTime - this.startTime)} &middot; run status <span class="badge ${escapeHtml(runStatus)}">${escapeHtml(runStatus)}</span></div>
+<table class="summary">
+  <tr><th>Total</th><th>Passed</th><th>Failed</th><th>Flaky</th><th>Skipped</th><th>Pass rate</th></tr>
+  <tr><td>${counts.total}</td><td>${counts.passed}</td><td>${counts.failed}</td><td>${counts.flaky}</td><td>${counts.skipped}</td><td>${passRate}%</td></tr>
+</table>
+${sections}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render one test case id and the tests carrying it
+   * @param {string} id - Test case id
+   * @param {Object[]} entries - Collected tests
+   * @returns {string} HTML section
+   */
+  renderTestCase(id, entries) {
+    const outcomes = entries.map(entry => this.outcomeOf(entry));
+    const status = outcomes.includes('failed') ? 'failed' : outcomes.every(outcome => outcome === 'skipped') ? 'skipped' : 'passed';
+
+    return `<section id="${escapeHtml(id.replace(/\s+/g, '-'))}">
+<h2>${escapeHtml(id)} <span class="badge ${status}">${status}</span></h2>
+${entries.map(entry => this.renderTest(entry)).join('\n')}
+</section>`;
+  }
+
+  /**
+   * Render one test: its final attempt's steps, errors and screenshots
+   * @param {Object} entry - Collected test
+   * @returns {string} HTML block
+   */
+  renderTest(entry) {
+    const outcome = this.outcomeOf(entry);
+    const attempt = entry.attempts[entry.attempts.length - 1];
+    const retries = entry.attempts.length > 1 ? ` &middot; ${entry.attempts.length - 1} retr${entry.attempts.length > 2 ? 'ies' : 'y'}` : '';
+    const steps = this.renderSteps(attempt.steps, 0);
+    const errors = attempt.errors.map(error => `<pre class="error">${escapeHtml(error)}</pre>`).join('\n');
+    const screenshots = attempt.screenshots.map(screenshot =>
+      `<div>${escapeHtml(screenshot.name)}</div><img class="screenshot" alt="${escapeHtml(screenshot.name)}" src="${screenshot.dataUri}">`).join('\n');
+
+    return `<div class="test">
+<h3>${escapeHtml(entry.title)} <span class="badge ${outcome}">${outcome}</span></h3>
+<div class="meta">${escapeHtml(entry.project)} &middot; ${escapeHtml(entry.location)} &middot; started ${escapeHtml(attempt.startTime)} &middot; ${formatDuration(attempt.durationMs)}${retries}</div>
+${steps ? `<table class="steps"><tr><th>Step</th><th>Status</th><th>Duration</th><th>Started</th></tr>${steps}</table>` : '<p>No steps recorded.</p>'}
+${errors}
+${screenshots}
+</div>`;
+  }
+
+  /**
+   * Render steps as table rows, indenting nested steps
+   * @param {Object[]} steps - Collected steps
+   * @param {number} depth - Nesting depth
+   * @returns {string} Table rows
+   */
+  renderSteps(steps, depth) {
+    return steps.map(step => `<tr>
+<td style="padding-left: ${8 + depth * 20}px">${escapeHtml(step.title)}${step.error ? `<br><small>${escapeHtml(step.error)}</small>` : ''}</td>
+<td><span class="badge ${step.status}">${step.status}</span></td>
+<td>${formatDuration(step.durationMs)}</td>
+<td>${escapeHtml(step.startTime)}</td>
+</tr>${this.renderSteps(step.steps, depth + 1)}`).join('');
+  }
+}
+
+module.exports = TestExecutionReporter;
@@ -125,8 +125,9 @@ class TestHelpers {
    * @param {Object} page - Playwright page object
    * @param {string} testName - Test name for screenshot
    * @param {string} step - Test step for screenshot
+   * @param {Object} testInfo - Test to attach the screenshot to, for the Test Execution Report
    */
-  static async takeStepScreenshot(page, testName, step) {
+  static async takeStepScreenshot(page, testName, step, testInfo = null) {
     const timestamp = this.getTimestamp();
     const screenshotDir = path.join(process.cwd(), 'test-results', 'screenshots');
     this.ensureDirectoryExists(screenshotDir);
@@ -134,12 +135,14 @@ class TestHelpers {
     const filename = `${testName}_${step}_${timestamp}.png`;
     const screenshotPath = path.join(screenshotDir, filename);
     
-    await page.screenshot({ 
+    const screenshot = await page.screenshot({ 
       path: screenshotPath,
       fullPage: true
     });
+    if (testInfo) {
+      await testInfo.attach(step, { body: screenshot, contentType: 'image/png' });
+    }
     
-    console.log(`📸 Screenshot saved: ${filename}`);
     return screenshotPath;
   }
 
@@ -162,16 +165,17 @@ class TestHelpers {
 
   /**
    * Retry function with exponential backoff
-   * @param {Function} fn - Function to retry
+   * @param {Function} fn - Function to retry, called with the attempt number (from 1)
    * @param {number} maxRetries - Maximum number of retries
    * @param {number} baseDelay - Base delay in milliseconds
+   * @param {Function} shouldRetry - Decides from the error whether another attempt can help
    */
-  static async retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+  static async retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        return await fn();
+        return await fn(attempt);
       } catch (error) {
-        if (attempt === maxRetries) {
+        if (attempt === maxRetries || !shouldRetry(error)) {
           throw error;
         }
         
@@ -212,6 +216,30 @@ class TestHelpers {
     return ssnRegex.test(ssn);
   }
 
+  /**
+   * Parse a ParaBank currency string such as "$1,250.50" or "-$100.00"
+   * @param {string} text - Currency text
+   * @returns {number} Amount in dollars, rounded to cents (NaN if not a number)
+   */
+  static parseCurrency(text) {
+    const cleaned = String(text).replace(/[$,\s]/g, '');
+    if (!/^-?\d+(\.\d+)?$/.test(cleaned)) {
+      return NaN;
+    }
+    return Math.round(parseFloat(cleaned) * 100) / 100;
+  }
+
+  /**
+   * Format a date the way ParaBank displays and searches dates (MM-DD-YYYY)
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  static formatParaBankDate(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${month}-${day}-${date.getFullYear()}`;
+  }
+
   /**
    * Generate test report summary
    * @param {Array} testResults - Array of test results
@@ -0,0 +1,144 @@
+/**
+ * Username Allocator for parallel and sharded runs
+ * Hands out usernames namespaced by run id, shard and worker, so no two workers or
+ * CI shards in a run can pick the same name, and records every allocation.
+ *
+ * Names look like "r<run>s<shard>w<worker>n<sequence>", e.g. "rmvf8a1kq2s1w3n12".
+ * The run id comes from TEST_RUN_ID (global setup picks one) and the shard from
+ * TEST_SHARD_INDEX (global setup copies it from --shard).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ALLOCATION_LOG = path.join(process.cwd(), 'test-results', 'username-allocations.jsonl');
+
+/**
+ * Resolve the run id, choosing and exporting one if none is set
+ * Exporting it lets workers started later in the run inherit the same id. Shards run
+ * in separate processes and cannot share a chosen id, so a sharded run must set
+ * TEST_RUN_ID to the same value on every shard.
+ * @param {Object} options - Resolve options
+ * @param {Object|null} options.shard - Playwright's config.shard ({ current, total }), null when not sharded
+ * @returns {string} Run id: seconds since the epoch plus two random characters, base 36
+ * @throws {Error} When the run is sharded and TEST_RUN_ID is not set
+ */
+function resolveRunId({ shard = null } = {}) {
+  if (!process.env.TEST_RUN_ID && shard) {
+    throw new Error(`TEST_RUN_ID is required for sharded runs (shard ${shard.current}/${shard.total}): set it to the same value, e.g. the CI build id, on every shard`);
+  }
+  if (!process.env.TEST_RUN_ID) {
+    const seconds = Math.floor(Date.now() / 1000).toString(36);
+    const random = Math.floor(Math.random() * 36 * 36).toString(36).padStart(2, '0');
+    process.env.TEST_RUN_ID = `${seconds}${random}`;
+  }
+  return process.env.TEST_RUN_ID;
+}
+
+/**
+ * UsernameAllocator class hands out run-unique usernames
+ */
+class UsernameAllocator {
+  /**
+   * Run id and shard default to the environment, read when first needed rather than
+   * here, so loading this module before global setup neither picks a run id nor
+   * bypasses its sharding check.
+   * @param {Object} options - Allocator options
+   * @param {string} options.runId - Run id shared by every worker and shard
+   * @param {number} options.shardIndex - Current shard (0 when not sharded)
+   * @param {number|string} options.workerIndex - Playwright worker index, unique within the run ("m" in the runner process)
+   * @param {string|null} options.logFile - JSON-lines file recording allocations (null to skip)
+   */
+  constructor({
+    runId = null,
+    shardIndex = null,
+    workerIndex = process.env.TEST_WORKER_INDEX ?? 'm',
+    logFile = ALLOCATION_LOG
+  } = {}) {
+    this.fixedRunId = runId;
+    this.fixedShardIndex = shardIndex;
+    this.workerIndex = workerIndex;
+    this.logFile = logFile;
+    this.sequence = 0;
+    this.allocations = [];
+  }
+
+  /**
+   * Run id shared by every worker and shard
+   * @returns {string} Run id
+   */
+  get runId() {
+    return this.fixedRunId || resolveRunId();
+  }
+
+  /**
+   * Current shard
+   * @returns {number} Shard index (0 when not sharded)
+   */
+  get shardIndex() {
+    return this.fixedShardIndex ?? Number(process.env.TEST_SHARD_INDEX || 0);
+  }
+
+  /**
+   * Namespace shared by every name this allocator hands out
+   * @returns {string} Prefix
+   */
+  get namespace() {
+    return `r${this.runId}s${this.shardIndex}w${this.workerIndex}`;
+  }
+
+  /**
+   * Allocate the next username
+   * @param {string} purpose - What the name is for, recorded with the allocation
+   * @returns {string} Username unique within the run
+   */
+  allocate(purpose = 'registration') {
+    const username = `${this.namespace}n${++this.sequence}`;
+    this.record({ username, purpose });
+    return username;
+  }
+
+  /**
+   * Hand out the next name after ParaBank reported a username as taken
+   * A taken name can only come from an earlier run that reused the run id, or from
+   * outside the suite; either way the next sequence number is tried.
+   * @param {string} takenUsername - Username ParaBank rejected
+   * @returns {string} Replacement username
+   */
+  nextAfterDuplicate(takenUsername) {
+    const allocation = this.allocations.find(entry => entry.username === takenUsername);
+    if (allocation) {
+      allocation.duplicate = true;
+    }
+    console.log(`⚠️ Username ${takenUsername} already exists, allocating the next one`);
+    return this.allocate(`retry after duplicate ${takenUsername}`);
+  }
+
+  /**
+   * Record an allocation in memory and in the allocation log
+   * @param {Object} entry - Allocation details
+   */
+  record(entry) {
+    const allocation = {
+      ...entry,
+      runId: this.runId,
+      shardIndex: this.shardIndex,
+      workerIndex: this.workerIndex,
+      allocatedAt: new Date().toISOString()
+    };
+    this.allocations.push(allocation);
+
+    if (this.logFile) {
+      fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+      fs.appendFileSync(this.logFile, `${JSON.stringify(allocation)}\n`);
+    }
+  }
+}
+
+const usernameAllocator = new UsernameAllocator();
+
+module.exports = {
+  usernameAllocator,
+  UsernameAllocator,
+  resolveRunId
+};
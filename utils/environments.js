@@ -0,0 +1,96 @@
+/**
+ * Environment Profiles for ParaBank Test Runs
+ * One profile is active per run, selected with the PARABANK_ENV variable
+ */
+
+const standInPort = Number(process.env.STAND_IN_PORT || 3000);
+
+/**
+ * Expected data for a stock ParaBank installation
+ */
+const parabankDefaults = {
+  initialBalance: 515.50,
+  minimumDeposit: 100.00,
+  demoCustomer: { username: 'john', password: 'demo' }
+};
+
+/**
+ * Available profiles
+ * - baseURL: ParaBank context root, always ending with a slash so relative paths resolve under it
+ * - standIn: start the local stand-in server before the run
+ * - handleChallenge: wait out Cloudflare challenges on navigation
+ * - timeouts: action, navigation, test and expect timeouts in milliseconds
+ * - expectedData: values the target is known to produce; loanRules only where the loan
+ *   processor and threshold are known, since admin.htm can change them
+ */
+const environments = {
+  local: {
+    name: 'local',
+    description: 'Offline ParaBank stand-in',
+    baseURL: `http://127.0.0.1:${standInPort}/parabank/`,
+    standIn: true,
+    handleChallenge: false,
+    timeouts: { action: 10000, navigation: 10000, test: 60000, expect: 5000 },
+    expectedData: {
+      ...parabankDefaults,
+      // The stand-in's loan decision rule; real targets can change theirs in admin.htm
+      loanRules: { processor: 'funds', thresholdPercent: 20 }
+    }
+  },
+  docker: {
+    name: 'docker',
+    description: 'Dockerised ParaBank (parasoft/parabank image)',
+    baseURL: process.env.PARABANK_DOCKER_URL || 'http://localhost:8080/parabank/',
+    standIn: false,
+    handleChallenge: false,
+    timeouts: { action: 15000, navigation: 20000, test: 90000, expect: 10000 },
+    expectedData: { ...parabankDefaults }
+  },
+  demo: {
+    name: 'demo',
+    description: 'Public ParaBank demo',
+    baseURL: 'https://parabank.parasoft.com/parabank/',
+    standIn: false,
+    handleChallenge: true,
+    timeouts: { action: 30000, navigation: 30000, test: 120000, expect: 10000 },
+    expectedData: { ...parabankDefaults }
+  },
+  staging: {
+    name: 'staging',
+    description: 'Team staging ParaBank',
+    baseURL: process.env.PARABANK_STAGING_URL,
+    standIn: false,
+    handleChallenge: true,
+    timeouts: { action: 30000, navigation: 30000, test: 120000, expect: 10000 },
+    expectedData: { ...parabankDefaults }
+  }
+};
+
+const DEFAULT_ENVIRONMENT = 'demo';
+
+/**
+ * Get the profile selected by PARABANK_ENV
+ * @returns {Object} Active environment profile
+ */
+function getActiveEnvironment() {
+  const name = process.env.PARABANK_ENV || DEFAULT_ENVIRONMENT;
+  const environment = environments[name];
+
+  if (!environment) {
+    throw new Error(`Unknown PARABANK_ENV "${name}". Expected one of: ${Object.keys(environments).join(', ')}`);
+  }
+  if (!environment.baseURL) {
+    throw new Error(`Environment "${name}" has no base URL. Set PARABANK_STAGING_URL.`);
+  }
+
+  return {
+    ...environment,
+    baseURL: environment.baseURL.endsWith('/') ? environment.baseURL : `${environment.baseURL}/`
+  };
+}
+
+module.exports = {
+  environments,
+  getActiveEnvironment,
+  DEFAULT_ENVIRONMENT
+};
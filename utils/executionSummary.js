@@ -0,0 +1,255 @@
+/**
+ * Execution Summary
+ * Builds the run summary from the JSON reporter's test-results/results.json: totals and
+ * pass rate, a breakdown per project (browser), failed tests with their first error
+ * line and the slowest tests. Writes it to test-results/execution-summary.txt and
+ * test-results/execution-summary.json.
+ *
+ * results.json only exists once the json reporter's onEnd has run, which Playwright
+ * calls after global teardown, so the summary is written by ExecutionSummaryReporter
+ * (listed after the json reporter) rather than by global-teardown.js. To rebuild it
+ * from an existing results.json, e.g. a merged sharded run:
+ *   node utils/executionSummary.js [path/to/results.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TestHelpers = require('./TestHelpers');
+
+const RESULTS_DIR = path.join(process.cwd(), 'test-results');
+const SLOWEST_TEST_COUNT = 5;
+
+/**
+ * Outcome names for the JSON reporter's test statuses
+ */
+const OUTCOMES = {
+  expected: 'passed',
+  unexpected: 'failed',
+  flaky: 'flaky',
+  skipped: 'skipped'
+};
+
+/**
+ * @typedef {Object} TestOutcome
+ * @property {string} title - Describe titles and test title, joined with " › "
+ * @property {string} project - Project (browser) name
+ * @property {string} location - Spec file and line
+ * @property {string} outcome - passed, failed, flaky or skipped
+ * @property {number} durationMs - Duration of the final attempt
+ * @property {string|null} firstErrorLine - First line of the final attempt's first error
+ */
+
+/**
+ * First non-empty line of an error message, without terminal colour codes
+ * @param {string} message - Error message
+ * @returns {string|null} First line
+ */
+function firstLineOf(message) {
+  const line = String(message || '')
+    .replace(/\u001b\[[0-9;]*m/g, '')
+    .split('\n')
+    .map(text => text.trim())
+    .find(Boolean);
+  return line || null;
+}
+
+/**
+ * Flatten the JSON report's suite tree into one outcome per test and project
+ * @param {Object[]} suites - Report suites
+ * @param {string[]} titlePath - Titles of the enclosing describe blocks
+ * @returns {TestOutcome[]} Test outcomes
+ */
+function collectOutcomes(suites = [], titlePath = []) {
+  return suites.flatMap(suite => {
+    // File-level suites are titled with the file name, which the location already shows
+    const isFileSuite = titlePath.length === 0 && suite.title === suite.file;
+    const suitePath = isFileSuite ? titlePath : [...titlePath, suite.title];
+
+    const specOutcomes = (suite.specs || []).flatMap(spec => spec.tests.map(test => {
+      const finalResult = test.results[test.results.length - 1] || {};
+      const firstError = (finalResult.errors || [])[0] || finalResult.error;
+      return {
+        title: [...suitePath, spec.title].join(' › '),
+        project: test.projectName || 'default',
+        location: `${spec.file}:${spec.line}`,
+        outcome: OUTCOMES[test.status] || test.status,
+        durationMs: finalResult.duration || 0,
+        firstErrorLine: firstError ? firstLineOf(firstError.message || firstError.value) : null
+      };
+    }));
+
+    return [...specOutcomes, ...collectOutcomes(suite.suites, suitePath)];
+  });
+}
+
+/**
+ * Count outcomes with TestHelpers.generateTestSummary, plus flaky tests
+ * Flaky tests passed on a retry, so they count as passed and are also listed separately.
+ * @param {TestOutcome[]} outcomes - Test outcomes
+ * @returns {Object} total, passed, failed, skipped, flaky and passRate
+ */
+function countOutcomes(outcomes) {
+  const { timestamp, ...counts } = TestHelpers.generateTestSummary(outcomes.map(outcome => ({
+    status: outcome.outcome === 'flaky' ? 'passed' : outcome.outcome
+  })));
+  return { ...counts, flaky: outcomes.filter(outcome => outcome.outcome === 'flaky').length };
+}
+
+/**
+ * Build the summary of a run
+ * @param {Object} report - Parsed results.json
+ * @returns {Object} Summary: run, totals, projects, failedTests, slowestTests
+ */
+function buildExecutionSummary(report) {
+  const outcomes = collectOutcomes(report.suites);
+  const projectNames = [...new Set(outcomes.map(outcome => outcome.project))];
+
+  return {
+    run: {
+      startTime: report.stats?.startTime || null,
+      durationMs: Math.round(report.stats?.duration || 0),
+      specFiles: new Set(outcomes.map(outcome => outcome.location.split(':')[0])).size,
+      errors: (report.errors || []).map(error => firstLineOf(error.message))
+    },
+    totals: countOutcomes(outcomes),
+    projects: Object.fromEntries(projectNames.map(name =>
+      [name, countOutcomes(outcomes.filter(outcome => outcome.project === name))])),
+    failedTests: outcomes
+      .filter(outcome => outcome.outcome === 'failed')
+      .map(({ title, project, location, firstErrorLine }) => ({ title, project, location, firstErrorLine })),
+    slowestTests: outcomes
+      .filter(outcome => outcome.outcome !== 'skipped')
+      .sort((a, b) => b.durationMs - a.durationMs)
+      .slice(0, SLOWEST_TEST_COUNT)
+      .map(({ title, project, location, durationMs }) => ({ title, project, location, durationMs }))
+  };
+}
+
+/**
+ * Format a duration
+ * @param {number} milliseconds - Duration
+ * @returns {string} e.g. "850ms", "12.4s" or "3m 5s"
+ */
+function formatDuration(milliseconds) {
+  if (milliseconds < 1000) {
+    return `${Math.round(milliseconds)}ms`;
+  }
+  if (milliseconds < 60000) {
+    return `${(milliseconds / 1000).toFixed(1)}s`;
+  }
+  const seconds = Math.round(milliseconds / 1000);
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Render the summary as text
+ * @param {Object} summary - Result of buildExecutionSummary()
+ * @param {Object} executionLog - test-execution-log.json written by global setup and teardown
+ * @returns {string} Text summary
+ */
+function formatExecutionSummary(summary, executionLog = {}) {
+  const { run, totals, projects, failedTests, slowestTests } = summary;
+  const { artifacts, environment, targetEnvironment, configuration } = executionLog;
+
+  const lines = [
+    'ParaBank Test Execution Summary',
+    '==============================',
+    `Start Time: ${run.startTime || executionLog.testSuiteStart || 'Unknown'}`,
+    `End Time: ${executionLog.testSuiteEnd || 'Unknown'}`,
+    `Duration: ${formatDuration(run.durationMs)}`,
+    `Run ID: ${executionLog.runId || 'Unknown'}`,
+    `Spec Files: ${run.specFiles}`,
+    '',
+    'Totals:',
+    `- Total: ${totals.total}`,
+    `- Passed: ${totals.passed}`,
+    `- Failed: ${totals.failed}`,
+    `- Flaky: ${totals.flaky}`,
+    `- Skipped: ${totals.skipped}`,
+    `- Pass Rate: ${totals.passRate}%`,
+    '',
+    'By Project:',
+    ...Object.entries(projects).map(([name, counts]) =>
+      `- ${name}: ${counts.passed}/${counts.total} passed (${counts.passRate}%), ${counts.failed} failed, ${counts.flaky} flaky, ${counts.skipped} skipped`),
+    '',
+    `Failed Tests (${failedTests.length}):`,
+    ...(failedTests.length
+      ? failedTests.map(test => `- [${test.project}] ${test.title} (${test.location})\n    ${test.firstErrorLine || 'No error message'}`)
+      : ['- None']),
+    '',
+    `Slowest Tests (top ${SLOWEST_TEST_COUNT}):`,
+    ...slowestTests.map(test => `- ${formatDuration(test.durationMs)}  [${test.project}] ${test.title} (${test.location})`)
+  ];
+
+  if (run.errors.length) {
+    lines.push('', 'Errors Outside Tests:', ...run.errors.map(error => `- ${error}`));
+  }
+
+  if (artifacts) {
+    lines.push(
+      '',
+      'Artifacts Generated:',
+      `- Screenshots: ${artifacts.screenshots}`,
+      `- Videos: ${artifacts.videos}`,
+      `- Traces: ${artifacts.traces}`
+    );
+  }
+
+  lines.push(
+    '',
+    'Environment:',
+    `- Node.js: ${environment?.nodeVersion || process.version}`,
+    `- Platform: ${environment?.platform || process.platform}`,
+    `- CI Mode: ${environment?.ci ? 'Yes' : 'No'}`,
+    `- Headless: ${environment?.headless ? 'Yes' : 'No'}`,
+    '',
+    'Configuration:',
+    `- Environment: ${targetEnvironment?.name || 'Unknown'}`,
+    `- Base URL: ${configuration?.baseURL || 'Not set'}`,
+    `- Browsers: ${configuration?.browsers?.join(', ') || 'Default'}`,
+    `- Workers: ${configuration?.workers || 'Auto'}`,
+    `- Retries: ${configuration?.retries || 0}`
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Read results.json and write execution-summary.txt and execution-summary.json
+ * @param {Object} options - Output options
+ * @param {string} options.resultsFile - JSON reporter output
+ * @param {string} options.outputDir - Directory for the summary files
+ * @returns {Object|null} Summary, or null when there are no results to summarise
+ */
+function writeExecutionSummary({
+  resultsFile = path.join(RESULTS_DIR, 'results.json'),
+  outputDir = RESULTS_DIR
+} = {}) {
+  if (!fs.existsSync(resultsFile)) {
+    console.warn(`⚠️ No test results at ${resultsFile}; execution summary not written`);
+    return null;
+  }
+
+  const summary = buildExecutionSummary(JSON.parse(fs.readFileSync(resultsFile, 'utf8')));
+  const logPath = path.join(outputDir, 'test-execution-log.json');
+  const executionLog = fs.existsSync(logPath) ? JSON.parse(fs.readFileSync(logPath, 'utf8')) : {};
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, 'execution-summary.txt'), formatExecutionSummary(summary, executionLog));
+  fs.writeFileSync(path.join(outputDir, 'execution-summary.json'), JSON.stringify(summary, null, 2));
+
+  const { totals } = summary;
+  console.log(`📊 ${totals.passed}/${totals.total} tests passed (${totals.passRate}%), ${totals.failed} failed, ${totals.flaky} flaky`);
+  console.log(`📄 Execution summary saved to: ${path.join(outputDir, 'execution-summary.txt')}`);
+  return summary;
+}
+
+if (require.main === module) {
+  writeExecutionSummary(process.argv[2] ? { resultsFile: path.resolve(process.argv[2]) } : {});
+}
+
+module.exports = {
+  buildExecutionSummary,
+  formatExecutionSummary,
+  writeExecutionSummary
+};
@@ -0,0 +1,293 @@
+/**
+ * Custom Playwright Fixtures
+ * Provides page objects, a per-worker registered customer and logged-in pages,
+ * so specs declare what they need instead of repeating setup. The exported expect adds
+ * toHaveFieldErrors() and toHaveFormValues() for field-by-field form checks.
+ *
+ * Usage: const { test, expect } = require('../utils/fixtures');
+ */
+
+const path = require('path');
+const base = require('@playwright/test');
+const HomePage = require('../pages/HomePage');
+const RegistrationPage = require('../pages/RegistrationPage');
+const LoginPage = require('../pages/LoginPage');
+const AccountsOverviewPage = require('../pages/AccountsOverviewPage');
+const TestHelpers = require('./TestHelpers');
+const { ParaBankApiClient } = require('./ParaBankApiClient');
+const { ParaBankSoapClient } = require('./ParaBankSoapClient');
+const { createStandInServer, CONTEXT_PATH } = require('./stand-in/server');
+const { registerUniqueUser } = require('./registrationWorkflow');
+const { userFactory } = require('../test-data/userFactory');
+
+/**
+ * Pick the browser context options from a project's `use` block
+ * @param {Object} use - Project use options
+ * @returns {Object} Options for browser.newContext()
+ */
+function contextOptionsFor(use) {
+  const keys = [
+    'baseURL', 'viewport', 'userAgent', 'deviceScaleFactor', 'isMobile',
+    'hasTouch', 'ignoreHTTPSErrors', 'extraHTTPHeaders', 'locale'
+  ];
+  return Object.fromEntries(keys.filter(key => use[key] !== undefined).map(key => [key, use[key]]));
+}
+
+/**
+ * Open a browser context configured like the project's own pages
+ * @param {Object} browser - Playwright browser
+ * @param {Object} use - Project use options
+ * @param {Object} extraOptions - Additional context options
+ * @returns {Promise<Object>} Browser context
+ */
+async function newProjectContext(browser, use, extraOptions = {}) {
+  const context = await browser.newContext({ ...contextOptionsFor(use), ...extraOptions });
+  if (use.actionTimeout) {
+    context.setDefaultTimeout(use.actionTimeout);
+  }
+  if (use.navigationTimeout) {
+    context.setDefaultNavigationTimeout(use.navigationTimeout);
+  }
+  return context;
+}
+
+const test = base.test.extend({
+  /**
+   * Starts the test's own test data stream and records the seed on every test, so the
+   * HTML report shows how to replay it
+   */
+  testDataSeed: [async ({}, use, testInfo) => {
+    userFactory.startTest(testInfo.testId);
+    testInfo.annotations.push({
+      type: 'test-data-seed',
+      description: `TEST_DATA_SEED=${userFactory.seed}`
+    });
+    await use(userFactory.seed);
+  }, { auto: true }],
+
+  /**
+   * HomePage for the test's page
+   */
+  homePage: async ({ page }, use) => {
+    await use(new HomePage(page));
+  },
+
+  /**
+   * RegistrationPage for the test's page
+   */
+  registrationPage: async ({ page }, use) => {
+    await use(new RegistrationPage(page));
+  },
+
+  /**
+   * LoginPage for the test's page
+   */
+  loginPage: async ({ page }, use) => {
+    await use(new LoginPage(page));
+  },
+
+  /**
+   * AccountsOverviewPage for the test's page
+   */
+  accountsOverviewPage: async ({ page }, use) => {
+    await use(new AccountsOverviewPage(page));
+  },
+
+  /**
+   * REST API client for the target environment
+   */
+  apiClient: async ({ request }, use) => {
+    await use(new ParaBankApiClient(request));
+  },
+
+  /**
+   * SOAP web service client for the target environment
+   */
+  soapClient: async ({ request }, use) => {
+    await use(new ParaBankSoapClient(request));
+  },
+
+  /**
+   * Customer registered through the UI once per worker and shared by its tests
+   */
+  registeredUser: [async ({ browser }, use, workerInfo) => {
+    const context = await newProjectContext(browser, workerInfo.project.use);
+    let user;
+
+    try {
+      ({ user } = await registerUniqueUser(await context.newPage()));
+    } catch (error) {
+      throw new Error(`Could not register worker user: ${error.message}`);
+    } finally {
+      await context.close();
+    }
+
+    console.log(`👤 Worker ${workerInfo.workerIndex} registered user: ${user.username}`);
+    await use(user);
+  }, { scope: 'worker' }],
+
+  /**
+   * Path of a storageState file holding a logged-in session for registeredUser
+   */
+  workerStorageState: [async ({ browser, registeredUser }, use, workerInfo) => {
+    const authDir = path.join(process.cwd(), 'test-results', '.auth');
+    TestHelpers.ensureDirectoryExists(authDir);
+    const storageStatePath = path.join(authDir, `worker-${workerInfo.workerIndex}.json`);
+
+    const context = await newProjectContext(browser, workerInfo.project.use);
+    try {
+      const homePage = new HomePage(await context.newPage());
+      await homePage.open();
+      await homePage.login(registeredUser.username, registeredUser.password);
+
+      if (!(await homePage.isUserLoggedIn())) {
+        throw new Error(`Could not log in worker user ${registeredUser.username}`);
+      }
+      await context.storageState({ path: storageStatePath });
+    } finally {
+      await context.close();
+    }
+
+    await use(storageStatePath);
+  }, { scope: 'worker' }],
+
+  /**
+   * Page that starts logged in as registeredUser, restored from the cached storageState.
+   * Tests that log out should use their own login, since logging out ends the shared session.
+   */
+  authenticatedPage: async ({ browser, workerStorageState }, use, testInfo) => {
+    const context = await newProjectContext(browser, testInfo.project.use, {
+      storageState: workerStorageState
+    });
+    const page = await context.newPage();
+    await use(page);
+    await context.close();
+  },
+
+  /**
+   * Stand-in server private to the worker, for tests that change shared state
+   * (database resets, admin settings) and must not disturb the target environment.
+   * Provides the server's baseURL and its BankStore.
+   */
+  privateStandIn: [async ({}, use) => {
+    const server = createStandInServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    await use({
+      baseURL: `http://127.0.0.1:${server.address().port}${CONTEXT_PATH}/`,
+      store: server.store
+    });
+
+    await new Promise(resolve => server.close(resolve));
+  }, { scope: 'worker' }],
+
+  /**
+   * Page whose relative URLs resolve against privateStandIn
+   */
+  standInPage: async ({ browser, privateStandIn }, use, testInfo) => {
+    const context = await newProjectContext(browser, testInfo.project.use, {
+      baseURL: privateStandIn.baseURL
+    });
+    const page = await context.newPage();
+    await use(page);
+    await context.close();
+  },
+
+  /**
+   * Request context whose relative URLs resolve against privateStandIn
+   */
+  standInRequest: async ({ playwright, privateStandIn }, use) => {
+    const request = await playwright.request.newContext({ baseURL: privateStandIn.baseURL });
+    await use(request);
+    await request.dispose();
+  },
+
+  /**
+   * REST API client for privateStandIn
+   */
+  standInApiClient: async ({ standInRequest }, use) => {
+    await use(new ParaBankApiClient(standInRequest));
+  },
+
+  /**
+   * SOAP client for privateStandIn
+   */
+  standInSoapClient: async ({ standInRequest }, use) => {
+    await use(new ParaBankSoapClient(standInRequest));
+  }
+});
+
+/**
+ * Describe every field whose value differs between two field maps
+ * @param {Object<string, string>} expected - Expected values keyed by field name
+ * @param {Object<string, string>} actual - Actual values keyed by field name
+ * @param {string} noun - What the values are, e.g. "error"
+ * @returns {string[]} One line per differing field
+ */
+function describeFieldDifferences(expected, actual, noun) {
+  const fields = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+  return fields
+    .filter(field => actual[field] !== expected[field])
+    .map(field => {
+      if (!(field in actual)) {
+        return `  ${field}: expected "${expected[field]}", but no ${noun} is shown`;
+      }
+      if (!(field in expected)) {
+        return `  ${field}: unexpected ${noun} "${actual[field]}"`;
+      }
+      return `  ${field}: expected "${expected[field]}", got "${actual[field]}"`;
+    });
+}
+
+const expect = base.expect.extend({
+  /**
+   * Assert a page object shows exactly the expected validation errors, field by field
+   * Works with any page object that has getFieldErrors(); a missing, extra or different
+   * message on any field fails, and the failure lists every field that differs.
+   * @param {Object} pageObject - Page object, e.g. RegistrationPage
+   * @param {Object<string, string>} expected - Expected messages keyed by field name
+   */
+  async toHaveFieldErrors(pageObject, expected) {
+    const actual = await pageObject.getFieldErrors();
+    const differences = describeFieldDifferences(expected, actual, 'error');
+    const pass = differences.length === 0;
+
+    return {
+      pass,
+      name: 'toHaveFieldErrors',
+      expected,
+      actual,
+      message: () => (pass
+        ? `Expected field errors other than ${this.utils.printExpected(expected)}`
+        : `Field errors differ from the expected map:\n${differences.join('\n')}`)
+    };
+  },
+
+  /**
+   * Assert a page object's form holds the expected input values, field by field
+   * Works with any page object that has readForm(). Use it with expect.soft() so a
+   * mistyped or reformatted field is reported and the test carries on.
+   * @param {Object} pageObject - Page object, e.g. RegistrationPage
+   * @param {Object<string, string>} expected - Expected values keyed by field name
+   */
+  async toHaveFormValues(pageObject, expected) {
+    const actual = await pageObject.readForm();
+    const differences = describeFieldDifferences(expected, actual, 'value');
+    const pass = differences.length === 0;
+
+    return {
+      pass,
+      name: 'toHaveFormValues',
+      expected,
+      actual,
+      message: () => (pass
+        ? `Expected form values other than ${this.utils.printExpected(expected)}`
+        : `Form values differ from the expected data:\n${differences.join('\n')}`)
+    };
+  }
+});
+
+module.exports = {
+  test,
+  expect
+};
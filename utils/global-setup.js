@@ -5,6 +5,48 @@
 
 const fs = require('fs');
 const path = require('path');
+const { chromium } = require('@playwright/test');
+const { getActiveEnvironment } = require('./environments');
+const AdminPage = require('../pages/AdminPage');
+const { resolveSeed } = require('../test-data/userFactory');
+const { resolveRunId } = require('./UsernameAllocator');
+
+/**
+ * Check that the target may be reset
+ * The public demo is shared by everyone, so it is never reset. Other targets, apart from
+ * the stand-in, must be confirmed by naming their host in PARABANK_RESET_DB_HOST.
+ * @param {Object} targetEnvironment - Active environment profile
+ * @throws {Error} When the reset is refused
+ */
+function assertResetAllowed(targetEnvironment) {
+  const { host } = new URL(targetEnvironment.baseURL);
+
+  if (targetEnvironment.name === 'demo') {
+    throw new Error(`PARABANK_RESET_DB refused: ${host} is the shared public ParaBank demo`);
+  }
+  if (!targetEnvironment.standIn && process.env.PARABANK_RESET_DB_HOST !== host) {
+    throw new Error(`PARABANK_RESET_DB refused: set PARABANK_RESET_DB_HOST=${host} to confirm resetting ${targetEnvironment.name}`);
+  }
+}
+
+/**
+ * Reset the target database to ParaBank's baseline data set through the admin page
+ * @param {Object} targetEnvironment - Active environment profile
+ */
+async function resetDatabase(targetEnvironment) {
+  assertResetAllowed(targetEnvironment);
+  console.log('🧹 Resetting target database (PARABANK_RESET_DB)...');
+  const browser = await chromium.launch();
+  try {
+    const page = await browser.newPage({ baseURL: targetEnvironment.baseURL });
+    const adminPage = new AdminPage(page);
+    await adminPage.open();
+    await adminPage.initializeDatabase();
+    console.log('✅ Database reset to baseline');
+  } finally {
+    await browser.close();
+  }
+}
 
 async function globalSetup(config) {
   console.log('🚀 Starting ParaBank Test Suite Global Setup...');
@@ -27,9 +69,33 @@ async function globalSetup(config) {
     }
   });
 
+  // Log target environment profile
+  const targetEnvironment = getActiveEnvironment();
+  console.log('🎯 Target Environment:');
+  console.log(`- Profile: ${targetEnvironment.name} (${targetEnvironment.description})`);
+  console.log(`- Base URL: ${targetEnvironment.baseURL}`);
+  console.log(`- Stand-in server: ${targetEnvironment.standIn ? 'Yes' : 'No'}`);
+  console.log(`- Challenge handling: ${targetEnvironment.handleChallenge ? 'Yes' : 'No'}`);
+
+  // Optionally start from a known baseline instead of data left by earlier runs
+  const resetDatabaseRequested = process.env.PARABANK_RESET_DB === 'true';
+  if (resetDatabaseRequested) {
+    await resetDatabase(targetEnvironment);
+  }
+
+  // Pick the test data seed here so every worker inherits the same one
+  const testDataSeed = resolveSeed();
+  console.log(`🎲 Test data seed: ${testDataSeed} (replay with TEST_DATA_SEED=${testDataSeed})`);
+
+  // Username namespace: every worker and CI shard of this run shares the run id
+  const runId = resolveRunId({ shard: config.shard });
+  if (!process.env.TEST_SHARD_INDEX) {
+    process.env.TEST_SHARD_INDEX = String(config.shard?.current || 0);
+  }
+  console.log(`🏷️ Username namespace: run ${runId}, shard ${process.env.TEST_SHARD_INDEX}`);
+
   // Log test configuration
   console.log('⚙️ Test Configuration:');
-  console.log(`- Base URL: ${config.use?.baseURL || 'Not set'}`);
   console.log(`- Browsers: ${config.projects?.map(p => p.name).join(', ') || 'Default'}`);
   console.log(`- Parallel workers: ${config.workers || 'Auto'}`);
   console.log(`- Retries: ${config.retries || 0}`);
@@ -51,8 +117,13 @@ async function globalSetup(config) {
       ci: !!process.env.CI,
       headless: process.env.HEADLESS !== 'false'
     },
+    targetEnvironment,
+    databaseReset: resetDatabaseRequested,
+    testDataSeed,
+    runId,
+    shardIndex: Number(process.env.TEST_SHARD_INDEX),
     configuration: {
-      baseURL: config.use?.baseURL,
+      baseURL: targetEnvironment.baseURL,
       browsers: config.projects?.map(p => p.name),
       workers: config.workers,
       retries: config.retries
@@ -57,38 +57,9 @@ async function globalTeardown(config) {
     console.log(`- Traces collected: ${artifacts.traces}`);
     console.log(`- HTML reports generated: ${artifacts.reports}`);
 
-    // Generate simple summary report
-    const summaryPath = path.join(resultsDir, 'execution-summary.txt');
-    const summaryContent = `
-ParaBank Test Execution Summary
-==============================
-Test Suite: Customer Registration Tests
-Start Time: ${logContent.testSuiteStart || 'Unknown'}
-End Time: ${timestamp}
-Duration: ${logContent.totalDuration?.formatted || 'Unknown'}
-
-Artifacts Generated:
-- Screenshots: ${artifacts.screenshots}
-- Videos: ${artifacts.videos}
-- Traces: ${artifacts.traces}
-- HTML Reports: ${artifacts.reports}
-
-Environment:
-- Node.js: ${logContent.environment?.nodeVersion || process.version}
-- Platform: ${logContent.environment?.platform || process.platform}
-- CI Mode: ${logContent.environment?.ci ? 'Yes' : 'No'}
-- Headless: ${logContent.environment?.headless ? 'Yes' : 'No'}
-
-Configuration:
-- Base URL: ${logContent.configuration?.baseURL || 'Not set'}
-- Browsers: ${logContent.configuration?.browsers?.join(', ') || 'Default'}
-- Workers: ${logContent.configuration?.workers || 'Auto'}
-- Retries: ${logContent.configuration?.retries || 0}
-`;
-
-    fs.writeFileSync(summaryPath, summaryContent);
-    
-    console.log(`📄 Execution summary saved to: ${summaryPath}`);
+    // results.json is written by the json reporter after teardown, so the pass/fail
+    // summary (execution-summary.txt and .json) is written by ExecutionSummaryReporter
+    console.log('📄 Execution summary will be written once the reporters finish');
     console.log('✅ Global teardown completed successfully');
 
   } catch (error) {
@@ -0,0 +1,200 @@
+/**
+ * Business Journeys for ParaBank
+ * End-to-end customer flows composed from the page objects. Every step of a journey
+ * is reported as a test.step, and every journey returns a context describing what it
+ * did (user, account ids, balances) for the test's own assertions.
+ *
+ * Journeys check only what they need to carry on (e.g. that a login worked); the
+ * assertions a test is about belong in the test.
+ *
+ * Usage: const journey = await registerThenOpenSavingsAndTransfer(page, { amount: 25 });
+ */
+
+const { test } = require('@playwright/test');
+const HomePage = require('../pages/HomePage');
+const LoginPage = require('../pages/LoginPage');
+const AccountsOverviewPage = require('../pages/AccountsOverviewPage');
+const OpenNewAccountPage = require('../pages/OpenNewAccountPage');
+const TransferFundsPage = require('../pages/TransferFundsPage');
+const TestHelpers = require('./TestHelpers');
+const { registerUniqueUser } = require('./registrationWorkflow');
+
+/**
+ * @typedef {Object} CustomerJourney
+ * @property {Object} user - Registered user data, including username and password
+ * @property {string} customerName - Name the left panel welcomes
+ * @property {string} checkingAccountId - Account opened at registration
+ * @property {Object<string, number>} balances - Balance per account id, as last read from the overview
+ */
+
+/**
+ * @typedef {Object} SavingsTransferJourney
+ * @property {Object} user - Registered user data, including username and password
+ * @property {string} customerName - Name the left panel welcomes
+ * @property {string} checkingAccountId - Account opened at registration
+ * @property {string} savingsAccountId - Savings account the journey opened
+ * @property {{amount: number, fromAccountId: string, toAccountId: string}} transfer - Transfer confirmation
+ * @property {Object<string, number>} openingBalances - Balance per account id before the transfer
+ * @property {Object<string, number>} balances - Balance per account id after the transfer
+ */
+
+/**
+ * Read every balance on the accounts overview
+ * @param {Object} page - Logged-in Playwright page
+ * @returns {Promise<Object<string, number>>} Balance per account id, in overview order
+ */
+async function readBalances(page) {
+  const accountsOverviewPage = new AccountsOverviewPage(page);
+  await accountsOverviewPage.open();
+  const accounts = await accountsOverviewPage.getAccounts();
+  return Object.fromEntries(accounts.map(account => [account.accountId, account.balance]));
+}
+
+/**
+ * Screenshot the page into the current test, for the Test Execution Report
+ * @param {Object} page - Playwright page
+ * @param {string} step - Screenshot name
+ * @returns {Promise<string>} Screenshot path
+ */
+async function screenshotStep(page, step) {
+  const testInfo = test.info();
+  return await TestHelpers.takeStepScreenshot(page, testInfo.title, step, testInfo);
+}
+
+/**
+ * Check the page shows a logged-in customer and read their name
+ * @param {LoginPage} loginPage - Login page object on the journey's page
+ * @param {Object} user - User expected to be logged in
+ * @returns {Promise<string>} Name the left panel welcomes
+ */
+async function expectLoggedIn(loginPage, user) {
+  if (!(await loginPage.isLoggedIn())) {
+    throw new Error(`${user.username} is not logged in: ${(await loginPage.getErrorMessage()) || 'no error shown'}`);
+  }
+  return await loginPage.getWelcomeName();
+}
+
+/**
+ * Register a new customer the way a visitor does: from the home page's Register link
+ * registerUniqueUser fills the form the link opened, and only reopens register.htm to retry.
+ * @param {Object} page - Playwright page
+ * @param {Object} overrides - Registration fields to set instead of generated ones
+ * @returns {Promise<Object>} Registered user data
+ */
+async function registerFromHomePage(page, overrides) {
+  const homePage = new HomePage(page);
+  let user;
+
+  await test.step('Open the home page and follow the Register link', async () => {
+    await homePage.open();
+    await homePage.clickRegisterLink();
+  });
+
+  await test.step('Register a new customer', async () => {
+    ({ user } = await registerUniqueUser(page, { overrides, testInfo: test.info() }));
+  });
+
+  return user;
+}
+
+/**
+ * Register a new customer, who ParaBank logs straight in, and read their accounts
+ * @param {Object} page - Playwright page
+ * @param {Object} options - Journey options
+ * @param {Object} options.overrides - Registration fields to set instead of generated ones
+ * @returns {Promise<CustomerJourney>} Journey context
+ */
+async function registerAndLogin(page, { overrides = {} } = {}) {
+  const loginPage = new LoginPage(page);
+  const user = await registerFromHomePage(page, overrides);
+  let customerName;
+  let balances;
+
+  await test.step('Confirm the new customer is logged in', async () => {
+    customerName = await expectLoggedIn(loginPage, user);
+  });
+
+  await test.step('Read the accounts overview', async () => {
+    balances = await readBalances(page);
+    await screenshotStep(page, 'accounts-overview');
+  });
+
+  return { user, customerName, checkingAccountId: Object.keys(balances)[0], balances };
+}
+
+/**
+ * Register a new customer, log out and log back in with the new credentials
+ * @param {Object} page - Playwright page
+ * @param {Object} options - Journey options
+ * @param {Object} options.overrides - Registration fields to set instead of generated ones
+ * @returns {Promise<CustomerJourney>} Journey context
+ */
+async function registerLogoutLogin(page, { overrides = {} } = {}) {
+  const loginPage = new LoginPage(page);
+  const user = await registerFromHomePage(page, overrides);
+  let customerName;
+  let balances;
+
+  await test.step('Log out', async () => {
+    await loginPage.logout();
+    if (!(await loginPage.isLoginPanelVisible())) {
+      throw new Error(`Logging out ${user.username} did not bring back the login panel`);
+    }
+  });
+
+  await test.step(`Log in as ${user.username}`, async () => {
+    await loginPage.open();
+    await loginPage.login(user.username, user.password);
+    customerName = await expectLoggedIn(loginPage, user);
+  });
+
+  await test.step('Read the accounts overview', async () => {
+    balances = await readBalances(page);
+    await screenshotStep(page, 'accounts-overview');
+  });
+
+  return { user, customerName, checkingAccountId: Object.keys(balances)[0], balances };
+}
+
+/**
+ * Register a new customer, open a savings account from their checking account and
+ * transfer funds from checking to savings
+ * @param {Object} page - Playwright page
+ * @param {Object} options - Journey options
+ * @param {string|number} options.amount - Amount to transfer, as typed into the form
+ * @param {Object} options.overrides - Registration fields to set instead of generated ones
+ * @returns {Promise<SavingsTransferJourney>} Journey context
+ */
+async function registerThenOpenSavingsAndTransfer(page, { amount = 25, overrides = {} } = {}) {
+  const { user, customerName, checkingAccountId } = await registerAndLogin(page, { overrides });
+  let savingsAccountId;
+  let openingBalances;
+  let transfer;
+  let balances;
+
+  await test.step(`Open a savings account funded from ${checkingAccountId}`, async () => {
+    const openNewAccountPage = new OpenNewAccountPage(page);
+    await openNewAccountPage.open();
+    savingsAccountId = await openNewAccountPage.openAccount(OpenNewAccountPage.ACCOUNT_TYPES.SAVINGS, checkingAccountId);
+    openingBalances = await readBalances(page);
+  });
+
+  await test.step(`Transfer $${amount} from checking to savings`, async () => {
+    const transferFundsPage = new TransferFundsPage(page);
+    await transferFundsPage.open();
+    transfer = await transferFundsPage.transfer(amount, checkingAccountId, savingsAccountId);
+    await screenshotStep(page, 'transfer-complete');
+  });
+
+  await test.step('Read the balances after the transfer', async () => {
+    balances = await readBalances(page);
+  });
+
+  return { user, customerName, checkingAccountId, savingsAccountId, transfer, openingBalances, balances };
+}
+
+module.exports = {
+  registerAndLogin,
+  registerLogoutLogin,
+  registerThenOpenSavingsAndTransfer
+};
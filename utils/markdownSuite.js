@@ -0,0 +1,222 @@
+/**
+ * Markdown Test Suite Runner
+ * Parses TestSuite.md into test cases and maps each plain-English step onto page
+ * object calls, so the suite document itself runs as Playwright tests
+ * (tests/test-suite.spec.js).
+ *
+ * Every "## TC nnn - title" heading starts a test case and each "- " bullet under it
+ * is a step. A step runs the first entry of STEP_VOCABULARY whose pattern matches it;
+ * matching ignores case, surrounding spaces and a trailing full stop. A step no
+ * entry matches fails its test with an UnmappedStepError before any step runs.
+ *
+ * To support a new phrase, add an entry to STEP_VOCABULARY.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('@playwright/test');
+const RegistrationPage = require('../pages/RegistrationPage');
+const { usernameAllocator } = require('./UsernameAllocator');
+const { userFactory } = require('../test-data/userFactory');
+
+const TEST_SUITE_FILE = path.join(__dirname, '..', 'TestSuite.md');
+
+/**
+ * @typedef {Object} MarkdownStep
+ * @property {string} text - Bullet text
+ * @property {number} line - Line number in the markdown file
+ */
+
+/**
+ * @typedef {Object} MarkdownTestCase
+ * @property {string} id - Test case id, e.g. "TC 001"
+ * @property {string} title - Heading text after the id
+ * @property {number} line - Line number of the heading
+ * @property {MarkdownStep[]} steps - Bullets in order
+ */
+
+/**
+ * @typedef {Object} StepWorld
+ * State shared by the steps of one test case
+ * @property {Object} page - Playwright page
+ * @property {Object} homePage - HomePage on the page
+ * @property {Object} registrationPage - RegistrationPage on the page
+ * @property {Object|null} user - Registration data, once a step has built it
+ * @property {Object|null} registrationResult - Result of the last registration submission
+ */
+
+/**
+ * Error for a step no vocabulary entry matches
+ */
+class UnmappedStepError extends Error {
+  /**
+   * @param {MarkdownStep[]} steps - Steps without a match
+   * @param {string} fileName - Markdown file the steps came from
+   */
+  constructor(steps, fileName) {
+    const list = steps.map(step => `  - "${step.text}" (${fileName}:${step.line})`).join('\n');
+    super(`Unmapped step(s):\n${list}\nAdd a matching phrase to STEP_VOCABULARY in utils/markdownSuite.js.`);
+    this.name = 'UnmappedStepError';
+    this.steps = steps;
+  }
+}
+
+/**
+ * Phrases the runner understands, tried in order
+ * Each entry has a pattern and a run(world, match) function doing the step.
+ */
+const STEP_VOCABULARY = [
+  {
+    pattern: /^navigate to `?([^`\s]+)`?$/i,
+    run: async ({ homePage }, [, pagePath]) => {
+      await homePage.navigateTo(pagePath);
+      await homePage.handleCloudflareChallenge();
+      await homePage.waitForPageLoad();
+    }
+  },
+  {
+    pattern: /^click on the register link$/i,
+    run: async ({ homePage, registrationPage }) => {
+      await homePage.clickRegisterLink();
+      expect(await registrationPage.isRegistrationPageLoaded()).toBeTruthy();
+    }
+  },
+  {
+    pattern: /^fill the registration page$/i,
+    run: async world => {
+      world.user = world.user || userFactory.build();
+      await world.registrationPage.fillRegistrationForm(world.user);
+    }
+  },
+  {
+    pattern: /^use (?:a )?unique username and password$/i,
+    run: async world => {
+      const { registrationPage } = world;
+      // Keep the password of the user the form was filled with; building another user
+      // would take an extra username and shift the seeded factory sequence
+      const username = usernameAllocator.allocate('TestSuite.md');
+      world.user = world.user
+        ? { ...world.user, username }
+        : userFactory.build({ overrides: { username } });
+      await registrationPage.fillField(registrationPage.elements.usernameInput, world.user.username);
+      await registrationPage.fillField(registrationPage.elements.passwordInput, world.user.password);
+      await registrationPage.fillField(registrationPage.elements.confirmPasswordInput, world.user.password);
+    }
+  },
+  {
+    pattern: /^submit the form by clicking on the register (?:page|button)$/i,
+    run: async world => {
+      world.registrationResult = await world.registrationPage.submitRegistration();
+    }
+  },
+  {
+    pattern: /^verify that (?:the )?welcome message with the new username is displayed$/i,
+    run: async ({ page, registrationPage, user, registrationResult }) => {
+      expect(registrationResult).toEqual({
+        status: RegistrationPage.RESULT_STATUSES.SUCCESS,
+        username: user.username
+      });
+      await expect(page.locator(registrationPage.elements.resultTitle)).toHaveText(`Welcome ${user.username}`);
+    }
+  }
+];
+
+/**
+ * Normalise step text for matching
+ * @param {string} text - Bullet text
+ * @returns {string} Text without surrounding spaces, doubled spaces or a trailing full stop
+ */
+function normaliseStep(text) {
+  return text.trim().replace(/\s+/g, ' ').replace(/\.$/, '');
+}
+
+/**
+ * Parse markdown into test cases
+ * @param {string} markdown - Markdown text
+ * @returns {MarkdownTestCase[]} Test cases in document order
+ */
+function parseTestSuite(markdown) {
+  const testCases = [];
+  let current = null;
+
+  markdown.split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+    const heading = text.match(/^##\s+(TC\s+\d+)\s+-\s+(.+?)\s*$/);
+
+    if (heading) {
+      current = { id: heading[1].replace(/\s+/, ' '), title: heading[2], line, steps: [] };
+      testCases.push(current);
+    } else if (/^#{1,2}\s/.test(text)) {
+      current = null;
+    } else if (current) {
+      const bullet = text.match(/^\s*[-*]\s+(.+?)\s*$/);
+      if (bullet) {
+        current.steps.push({ text: bullet[1], line });
+      }
+    }
+  });
+
+  return testCases;
+}
+
+/**
+ * Load the test cases of a markdown file
+ * @param {string} filePath - Markdown file
+ * @returns {MarkdownTestCase[]} Test cases
+ */
+function loadTestSuite(filePath = TEST_SUITE_FILE) {
+  return parseTestSuite(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Find the vocabulary entry for every step
+ * @param {MarkdownStep[]} steps - Steps of a test case
+ * @param {string} fileName - Markdown file, for error messages
+ * @returns {Array<{step: MarkdownStep, entry: Object, match: string[]}>} Steps with their entries
+ * @throws {UnmappedStepError} When any step matches no entry
+ */
+function resolveSteps(steps, fileName = path.basename(TEST_SUITE_FILE)) {
+  const resolved = [];
+  const unmapped = [];
+
+  for (const step of steps) {
+    const text = normaliseStep(step.text);
+    const entry = STEP_VOCABULARY.find(candidate => candidate.pattern.test(text));
+    if (entry) {
+      resolved.push({ step, entry, match: text.match(entry.pattern) });
+    } else {
+      unmapped.push(step);
+    }
+  }
+
+  if (unmapped.length) {
+    throw new UnmappedStepError(unmapped, fileName);
+  }
+  return resolved;
+}
+
+/**
+ * Run a test case's steps, each as a test.step named after its bullet
+ * @param {Object} test - Playwright test object (for test.step)
+ * @param {MarkdownTestCase} testCase - Test case to run
+ * @param {StepWorld} world - Page objects the steps use
+ */
+async function runTestCase(test, testCase, world) {
+  const resolved = resolveSteps(testCase.steps);
+  const state = { user: null, registrationResult: null, ...world };
+
+  for (const { step, entry, match } of resolved) {
+    await test.step(normaliseStep(step.text), async () => {
+      await entry.run(state, match);
+    });
+  }
+}
+
+module.exports = {
+  parseTestSuite,
+  loadTestSuite,
+  resolveSteps,
+  runTestCase,
+  UnmappedStepError,
+  STEP_VOCABULARY
+};
@@ -0,0 +1,213 @@
+/**
+ * Registration Workflow
+ * Registers a customer through the UI, retrying the failures another attempt can fix.
+ *
+ * Every failed attempt is classified:
+ * - duplicate: the username is taken; retried with the allocator's next username
+ * - server: ParaBank answered with a 5xx or a page that is neither a welcome nor the
+ *   form with field errors; retried with freshly built data
+ * - timeout: a wait ran out; retried with freshly built data
+ * - validation: ParaBank rejected the data itself; never retried, since the same data
+ *   fails the same way
+ * Any other error, such as a failed assertion or a bug in a page object, is rethrown
+ * unchanged on the attempt that raised it.
+ *
+ * Usage: const { user, attempts } = await registerUniqueUser(page, { testInfo });
+ */
+
+const RegistrationPage = require('../pages/RegistrationPage');
+const TestHelpers = require('./TestHelpers');
+const { usernameAllocator } = require('./UsernameAllocator');
+const { userFactory } = require('../test-data/userFactory');
+
+/**
+ * Failure kinds, and whether each is worth another attempt
+ */
+const FAILURES = {
+  DUPLICATE: 'duplicate',
+  VALIDATION: 'validation',
+  SERVER: 'server',
+  TIMEOUT: 'timeout'
+};
+
+const RETRYABLE_FAILURES = [FAILURES.DUPLICATE, FAILURES.SERVER, FAILURES.TIMEOUT];
+
+/**
+ * @typedef {Object} RegistrationAttempt
+ * @property {number} attempt - Attempt number, from 1
+ * @property {string} username - Username submitted
+ * @property {string} outcome - "success", one of FAILURES, or "error" for an unclassified error
+ * @property {boolean} retryable - Whether the failure could be retried
+ * @property {string} [message] - What went wrong
+ * @property {string} startedAt - ISO timestamp
+ * @property {number} durationMs - How long the attempt took
+ */
+
+/**
+ * Error thrown when registration fails for good
+ */
+class RegistrationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.failure - One of FAILURES
+   * @param {Object} details.result - RegistrationResult, when the page answered
+   */
+  constructor(message, { failure, result = null }) {
+    super(message);
+    this.name = 'RegistrationError';
+    this.failure = failure;
+    this.result = result;
+    this.retryable = RETRYABLE_FAILURES.includes(failure);
+    this.attempts = [];
+  }
+}
+
+/**
+ * Turn a RegistrationResult that is not the expected success into a RegistrationError
+ * @param {import('../pages/RegistrationPage').RegistrationResult} result - Submission result
+ * @param {string} username - Username that was submitted
+ * @returns {RegistrationError} Classified error
+ */
+function errorFromResult(result, username) {
+  const { DUPLICATE, VALIDATION } = RegistrationPage.RESULT_STATUSES;
+
+  switch (result.status) {
+    case DUPLICATE:
+      return new RegistrationError(`Username ${username} already exists`, { failure: FAILURES.DUPLICATE, result });
+    case VALIDATION:
+      return new RegistrationError(`Registration was rejected: ${JSON.stringify(result.fieldErrors)}`,
+        { failure: FAILURES.VALIDATION, result });
+    default: {
+      const { httpStatus, url, heading } = result.diagnostics;
+      return new RegistrationError(
+        `Unexpected page after registration (HTTP ${httpStatus}, ${url}, title "${heading || ''}")`,
+        { failure: FAILURES.SERVER, result });
+    }
+  }
+}
+
+/**
+ * Classify an error thrown while registering
+ * Only results from the page (errorFromResult) and Playwright timeouts are classified.
+ * @param {Error} error - Thrown error
+ * @returns {RegistrationError|null} Classified error, or null for any other error
+ */
+function classifyError(error) {
+  if (error instanceof RegistrationError) {
+    return error;
+  }
+  if (error.name !== 'TimeoutError') {
+    return null;
+  }
+  const classified = new RegistrationError(error.message.split('\n')[0], { failure: FAILURES.TIMEOUT });
+  classified.cause = error;
+  return classified;
+}
+
+/**
+ * Register a new customer, retrying duplicates, server errors and timeouts with backoff
+ * @param {Object} page - Playwright page
+ * @param {Object} options - Workflow options
+ * @param {Object} options.user - Data for the first attempt (default: built by the user factory)
+ * @param {Object} options.overrides - Fields to keep when later attempts build fresh data
+ * @param {number} options.maxAttempts - Attempts before giving up
+ * @param {number} options.baseDelay - Backoff before the second attempt, doubling after that
+ * @param {Function} options.beforeSubmit - Called with (registrationPage, user) once the form is filled
+ * @param {Object} options.testInfo - Test to attach the attempt log and welcome screenshot to
+ * @returns {Promise<{user: Object, attempts: RegistrationAttempt[]}>} Registered user and attempt log
+ * @throws {RegistrationError} When an attempt fails for a reason that is not retried, or none are left
+ * @throws {Error} Any unclassified error, unchanged, from the attempt that raised it
+ */
+async function registerUniqueUser(page, {
+  user = null,
+  overrides = {},
+  maxAttempts = 3,
+  baseDelay = 1000,
+  beforeSubmit = null,
+  testInfo = null
+} = {}) {
+  const registrationPage = new RegistrationPage(page);
+  const attempts = [];
+  let candidate = user || userFactory.build({ overrides });
+
+  const attemptRegistration = async attempt => {
+    const startedAt = new Date();
+
+    if (attempt > 1) {
+      const previous = attempts[attempts.length - 1];
+      candidate = previous.outcome === FAILURES.DUPLICATE
+        ? { ...candidate, username: usernameAllocator.nextAfterDuplicate(candidate.username) }
+        : userFactory.build({ overrides });
+    }
+
+    try {
+      // Reuse a form that is already open; otherwise start from a fresh registration page
+      if (attempt > 1 || await page.locator(registrationPage.elements.registrationForm).count() === 0) {
+        await registrationPage.open();
+      }
+      await registrationPage.fillRegistrationForm(candidate);
+      if (beforeSubmit) {
+        await beforeSubmit(registrationPage, candidate);
+      }
+
+      const result = await registrationPage.submitRegistration();
+      if (result.status !== RegistrationPage.RESULT_STATUSES.SUCCESS) {
+        throw errorFromResult(result, candidate.username);
+      }
+      if (result.username !== candidate.username) {
+        throw new Error(`Welcome names ${result.username} instead of ${candidate.username}`);
+      }
+
+      attempts.push({
+        attempt,
+        username: candidate.username,
+        outcome: 'success',
+        retryable: false,
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime()
+      });
+    } catch (error) {
+      const classified = classifyError(error);
+      attempts.push({
+        attempt,
+        username: candidate.username,
+        outcome: classified ? classified.failure : 'error',
+        retryable: classified ? classified.retryable : false,
+        message: (classified || error).message.split('\n')[0],
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime()
+      });
+      throw classified || error;
+    }
+  };
+
+  try {
+    await TestHelpers.retryWithBackoff(attemptRegistration, maxAttempts, baseDelay,
+      error => error instanceof RegistrationError && error.retryable);
+  } catch (error) {
+    if (error instanceof RegistrationError) {
+      error.attempts = attempts;
+    }
+    throw error;
+  } finally {
+    if (testInfo) {
+      await testInfo.attach('registration-attempts', {
+        body: JSON.stringify(attempts, null, 2),
+        contentType: 'application/json'
+      });
+    }
+  }
+
+  if (testInfo) {
+    await TestHelpers.takeStepScreenshot(page, testInfo.title, 'registration-welcome', testInfo);
+  }
+  console.log(`👤 Registered ${candidate.username} after ${attempts.length} attempt(s)`);
+  return { user: candidate, attempts };
+}
+
+module.exports = {
+  registerUniqueUser,
+  RegistrationError,
+  FAILURES
+};
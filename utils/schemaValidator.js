@@ -0,0 +1,76 @@
+/**
+ * JSON Schema Validation for ParaBank API contracts
+ * Validates response payloads against the schemas in test-data/schemas and
+ * describes every drifted field, not just the first one.
+ *
+ * Usage: const drift = validatePayload('account', body);   // [] when the payload matches
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'test-data', 'schemas');
+
+// allErrors keeps validating after the first failure so one run reports all drift
+const ajv = new Ajv({ allErrors: true, strict: false });
+for (const file of fs.readdirSync(SCHEMA_DIR).filter(name => name.endsWith('.schema.json'))) {
+  ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8')));
+}
+
+/**
+ * Describe one Ajv error as "<field path>: <problem>"
+ * @param {Object} error - Ajv error object
+ * @returns {string} Drift description
+ */
+function describeError(error) {
+  const field = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : '(root)';
+
+  switch (error.keyword) {
+    case 'required':
+      return `${field === '(root)' ? '' : `${field}.`}${error.params.missingProperty}: missing`;
+    case 'additionalProperties':
+      return `${field === '(root)' ? '' : `${field}.`}${error.params.additionalProperty}: unexpected field`;
+    case 'type':
+      return `${field}: expected ${[].concat(error.params.type).join(' or ')}`;
+    case 'enum':
+      return `${field}: expected one of ${error.params.allowedValues.join(', ')}`;
+    default:
+      return `${field}: ${error.message}`;
+  }
+}
+
+/**
+ * Validate a payload against a named schema
+ * @param {string} schemaName - Schema file name without ".schema.json", e.g. "customer"
+ * @param {*} payload - Parsed response body
+ * @returns {string[]} One description per drifted field; empty when the payload matches
+ */
+function validatePayload(schemaName, payload) {
+  const validate = ajv.getSchema(`${schemaName}.schema.json`);
+  if (!validate) {
+    throw new Error(`No schema "${schemaName}" in ${SCHEMA_DIR}`);
+  }
+  return validate(payload) ? [] : validate.errors.map(describeError);
+}
+
+/**
+ * Validate every item of a list payload, prefixing drift with the item index
+ * @param {string} schemaName - Schema file name without ".schema.json"
+ * @param {Array} payload - Parsed response body
+ * @returns {string[]} Drift descriptions such as "[2].balance: expected number"
+ */
+function validateListPayload(schemaName, payload) {
+  if (!Array.isArray(payload)) {
+    return ['(root): expected array'];
+  }
+  return payload.flatMap((item, index) =>
+    validatePayload(schemaName, item).map(drift => drift.startsWith('(root)')
+      ? `[${index}]${drift.slice('(root)'.length)}`
+      : `[${index}].${drift}`));
+}
+
+module.exports = {
+  validatePayload,
+  validateListPayload
+};
@@ -0,0 +1,245 @@
+/**
+ * REST Services for the ParaBank stand-in
+ * JSON versions of the services/bank resources, with ParaBank's payload shapes
+ * and its plain-text 400 errors, so ParaBankApiClient can be tested offline.
+ */
+
+const SERVICE_PATH = '/services/bank';
+
+/**
+ * Account types by the index ParaBank's createAccount expects
+ */
+const ACCOUNT_TYPES_BY_INDEX = ['CHECKING', 'SAVINGS', 'LOAN'];
+
+/**
+ * Error raised by a resource; becomes a plain-text response
+ */
+class RestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Convert cents to the dollar amounts ParaBank's JSON uses
+ */
+function toDollars(cents) {
+  return cents / 100;
+}
+
+/**
+ * Customer resource
+ */
+function customerJson(customer) {
+  return {
+    id: customer.id,
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    address: {
+      street: customer.address,
+      city: customer.city,
+      state: customer.state,
+      zipCode: customer.zipCode
+    },
+    phoneNumber: customer.phone,
+    ssn: customer.ssn
+  };
+}
+
+/**
+ * Account resource
+ */
+function accountJson(account) {
+  return {
+    id: account.id,
+    customerId: account.customerId,
+    type: account.type,
+    balance: toDollars(account.balance)
+  };
+}
+
+/**
+ * Transaction resource
+ */
+function transactionJson(transaction) {
+  return {
+    id: transaction.id,
+    accountId: transaction.accountId,
+    type: transaction.type,
+    date: transaction.date.getTime(),
+    amount: toDollars(transaction.amount),
+    description: transaction.description
+  };
+}
+
+/**
+ * Look up a customer or fail the way ParaBank does
+ */
+function findCustomer(store, customerId) {
+  const customer = store.customers.get(Number(customerId));
+  if (!customer) {
+    throw new RestError(`Could not find customer #${customerId}`);
+  }
+  return customer;
+}
+
+/**
+ * Look up an account or fail the way ParaBank does
+ */
+function findAccount(store, accountId) {
+  const account = store.accounts.get(Number(accountId));
+  if (!account) {
+    throw new RestError(`Could not find account #${accountId}`);
+  }
+  return account;
+}
+
+/**
+ * Read a required positive amount query parameter as cents
+ */
+function amountParam(query, name) {
+  const value = query.get(name);
+  if (value === null || value.trim() === '' || !Number.isFinite(Number(value)) || Number(value) < 0) {
+    throw new RestError(`Invalid ${name}: ${value}`);
+  }
+  return Math.round(Number(value) * 100);
+}
+
+/**
+ * Read a required numeric id query parameter
+ */
+function idParam(query, name) {
+  const value = query.get(name);
+  if (!/^\d+$/.test(value || '')) {
+    throw new RestError(`Invalid ${name}: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Resources as [method, path pattern, handler]; handlers receive
+ * { store, query, body } and the pattern's captured groups
+ */
+const resources = [
+  ['GET', /^\/login\/([^/]+)\/([^/]+)$/, ({ store }, [username, password]) => {
+    const customer = store.authenticate(decodeURIComponent(username), decodeURIComponent(password));
+    if (!customer) {
+      throw new RestError('Invalid username and/or password');
+    }
+    return customerJson(customer);
+  }],
+
+  ['GET', /^\/customers\/(\d+)$/, ({ store }, [customerId]) =>
+    customerJson(findCustomer(store, customerId))],
+
+  ['GET', /^\/customers\/(\d+)\/accounts$/, ({ store }, [customerId]) =>
+    store.accountsFor(findCustomer(store, customerId).id).map(accountJson)],
+
+  ['GET', /^\/accounts\/(\d+)$/, ({ store }, [accountId]) =>
+    accountJson(findAccount(store, accountId))],
+
+  ['GET', /^\/accounts\/(\d+)\/transactions$/, ({ store }, [accountId]) =>
+    store.transactionsFor(findAccount(store, accountId).id).map(transactionJson)],
+
+  ['GET', /^\/transactions\/(\d+)$/, ({ store }, [transactionId]) => {
+    const transaction = store.transactions.find(candidate => candidate.id === Number(transactionId));
+    if (!transaction) {
+      throw new RestError(`Could not find transaction #${transactionId}`);
+    }
+    return transactionJson(transaction);
+  }],
+
+  ['POST', /^\/createAccount$/, ({ store, query }) => {
+    const customer = findCustomer(store, idParam(query, 'customerId'));
+    const type = ACCOUNT_TYPES_BY_INDEX[Number(query.get('newAccountType'))];
+    if (!type) {
+      throw new RestError(`Invalid newAccountType: ${query.get('newAccountType')}`);
+    }
+    const fromAccount = findAccount(store, idParam(query, 'fromAccountId'));
+    return accountJson(store.openAccount(customer.id, type, fromAccount.id));
+  }],
+
+  ['POST', /^\/transfer$/, ({ store, query }) => {
+    const fromAccount = findAccount(store, idParam(query, 'fromAccountId'));
+    const toAccount = findAccount(store, idParam(query, 'toAccountId'));
+    const amount = amountParam(query, 'amount');
+    store.transfer(fromAccount.id, toAccount.id, amount);
+    return `Successfully transferred $${toDollars(amount).toFixed(2)} from account #${fromAccount.id} to account #${toAccount.id}`;
+  }],
+
+  ['POST', /^\/billpay$/, ({ store, query, body }) => {
+    const account = findAccount(store, idParam(query, 'accountId'));
+    const amount = amountParam(query, 'amount');
+    if (!body || !body.name) {
+      throw new RestError('Payee name is required');
+    }
+    store.billPay(account.id, amount, body.name);
+    return { payeeName: body.name, amount: toDollars(amount), accountId: account.id };
+  }],
+
+  ['POST', /^\/requestLoan$/, ({ store, query }) => {
+    const customer = findCustomer(store, idParam(query, 'customerId'));
+    const fromAccount = findAccount(store, idParam(query, 'fromAccountId'));
+    if (fromAccount.customerId !== customer.id) {
+      throw new RestError(`Could not find account #${fromAccount.id}`);
+    }
+    const response = store.requestLoan(customer.id, amountParam(query, 'amount'),
+      amountParam(query, 'downPayment'), fromAccount.id);
+    return { ...response, responseDate: response.responseDate.getTime() };
+  }]
+];
+
+/**
+ * Handle a request below the services/bank path
+ * @param {BankStore} store - Bank store
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path below SERVICE_PATH, e.g. "/customers/12212"
+ * @param {URLSearchParams} request.query - Query parameters
+ * @param {string} request.rawBody - Request body
+ * @returns {{status: number, headers: Object, body: string}} Response descriptor
+ */
+function handleRestRequest(store, { method, path, query, rawBody }) {
+  const text = (status, message) =>
+    ({ status, headers: { 'Content-Type': 'text/plain;charset=UTF-8' }, body: message });
+
+  for (const [resourceMethod, pattern, handler] of resources) {
+    const match = pattern.exec(path);
+    if (!match || resourceMethod !== method) {
+      continue;
+    }
+
+    try {
+      let body = null;
+      if (rawBody) {
+        try {
+          body = JSON.parse(rawBody);
+        } catch {
+          throw new RestError('Request body is not valid JSON');
+        }
+      }
+      const result = handler({ store, query, body }, match.slice(1));
+      return typeof result === 'string'
+        ? text(200, result)
+        : { status: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(result) };
+    } catch (error) {
+      if (error instanceof RestError) {
+        return text(error.status, error.message);
+      }
+      // Store errors (e.g. an unknown account) surface as ParaBank's 400s
+      return text(400, error.message);
+    }
+  }
+  return text(404, `No resource for ${method} ${SERVICE_PATH}${path}`);
+}
+
+module.exports = {
+  SERVICE_PATH,
+  handleRestRequest,
+  RestError,
+  customerJson,
+  accountJson,
+  findCustomer,
+  findAccount
+};
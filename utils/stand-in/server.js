@@ -0,0 +1,561 @@
+/**
+ * ParaBank Stand-in Server
+ * A dependency-free Node HTTP server that mimics the ParaBank pages used by
+ * the test suite, plus its services/bank REST resources and SOAP service,
+ * so specs can run without the public demo site.
+ *
+ * Usage: node utils/stand-in/server.js   (port from STAND_IN_PORT, default 3000)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const BankStore = require('./store');
+const views = require('./views');
+const { SERVICE_PATH, handleRestRequest } = require('./rest');
+const { SOAP_PATH, handleSoapRequest } = require('./soap');
+
+const CONTEXT_PATH = '/parabank';
+
+// 1x1 transparent GIF served for every image request
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Required registration fields, taken from the view definition
+ */
+const REQUIRED_REGISTRATION_FIELDS = views.REGISTRATION_FIELDS
+  .filter(field => field && field[2])
+  .map(([, name, message]) => [name, message]);
+
+/**
+ * Parse the Cookie header into an object
+ * @param {string} header - Raw Cookie header
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name]) => name)
+    .map(([name, ...rest]) => [name, decodeURIComponent(rest.join('='))]));
+}
+
+/**
+ * Read a request body as text
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<string>} Raw body
+ */
+async function readBody(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  return raw;
+}
+
+/**
+ * Read and decode a url-encoded request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Object>} Form fields by name
+ */
+async function readForm(req) {
+  return Object.fromEntries(new URLSearchParams(await readBody(req)));
+}
+
+/**
+ * Map registration form fields onto the testData user shape
+ * @param {Object} form - Submitted register.htm fields
+ * @returns {Object} User data
+ */
+function userFromRegistrationForm(form) {
+  return {
+    firstName: form['customer.firstName'],
+    lastName: form['customer.lastName'],
+    address: form['customer.address.street'],
+    city: form['customer.address.city'],
+    state: form['customer.address.state'],
+    zipCode: form['customer.address.zipCode'],
+    phone: form['customer.phoneNumber'],
+    ssn: form['customer.ssn'],
+    username: form['customer.username'],
+    password: form['customer.password']
+  };
+}
+
+/**
+ * Validate a registration submission the way ParaBank's customer validator does
+ * @param {BankStore} store - Bank store
+ * @param {Object} form - Submitted register.htm fields
+ * @returns {Object} Error messages keyed by input name
+ */
+function validateRegistration(store, form) {
+  const errors = {};
+  for (const [name, message] of REQUIRED_REGISTRATION_FIELDS) {
+    if (!(form[name] || '').trim()) {
+      errors[name] = message;
+    }
+  }
+  if (!errors['customer.username'] && store.findByUsername(form['customer.username'])) {
+    errors['customer.username'] = 'This username already exists.';
+  }
+  if (!errors['customer.password'] && !errors.repeatedPassword &&
+      form['customer.password'] !== form.repeatedPassword) {
+    errors.repeatedPassword = 'Passwords did not match.';
+  }
+  return errors;
+}
+
+/**
+ * Parse a submitted amount into cents
+ * @param {string} value - Amount as typed, e.g. "12.34"
+ * @returns {{cents?: number, error?: string}} Amount in cents or ParaBank's error message
+ */
+function parseAmount(value = '') {
+  if (!value.trim()) {
+    return { error: 'The amount cannot be empty.' };
+  }
+  if (!/^\d+(\.\d{1,2})?$/.test(value.trim()) || Number(value) <= 0) {
+    return { error: 'Please enter a valid amount.' };
+  }
+  return { cents: Math.round(Number(value) * 100) };
+}
+
+/**
+ * Validate a bill pay submission the way ParaBank's payee form does
+ * @param {Object} form - Submitted billpay.htm fields
+ * @returns {Object} Error messages keyed by error element id suffix
+ */
+function validateBillPay(form) {
+  const errors = {};
+  const required = {
+    name: ['payee.name', 'Payee name is required.'],
+    address: ['payee.address.street', 'Address is required.'],
+    city: ['payee.address.city', 'City is required.'],
+    state: ['payee.address.state', 'State is required.'],
+    zipCode: ['payee.address.zipCode', 'Zip Code is required.'],
+    phoneNumber: ['payee.phoneNumber', 'Phone number is required.']
+  };
+  for (const [errorId, [name, message]] of Object.entries(required)) {
+    if (!(form[name] || '').trim()) {
+      errors[errorId] = message;
+    }
+  }
+
+  for (const [errorId, name] of [['account', 'payee.accountNumber'], ['verifyAccount', 'verifyAccount']]) {
+    const value = (form[name] || '').trim();
+    if (!value) {
+      errors[`${errorId}-empty`] = 'Account number is required.';
+    } else if (!/^\d+$/.test(value)) {
+      errors[`${errorId}-invalid`] = 'Please enter a valid number.';
+    }
+  }
+  if (!errors['account-empty'] && !errors['account-invalid'] &&
+      !errors['verifyAccount-empty'] && !errors['verifyAccount-invalid'] &&
+      form['payee.accountNumber'].trim() !== form.verifyAccount.trim()) {
+    errors['verifyAccount-mismatch'] = 'The account numbers do not match.';
+  }
+
+  const { error } = parseAmount(form.amount);
+  if (error) {
+    errors[form.amount && form.amount.trim() ? 'amount-invalid' : 'amount-empty'] = error;
+  }
+  return errors;
+}
+
+/**
+ * Validate an update profile submission
+ * @param {Object} form - Submitted updateprofile.htm fields
+ * @returns {Object} Error messages keyed by error element id
+ */
+function validateProfile(form) {
+  const messages = {
+    'firstName-error': 'First name is required.',
+    'lastName-error': 'Last name is required.',
+    'street-error': 'Address is required.',
+    'city-error': 'City is required.',
+    'state-error': 'State is required.',
+    'zipCode-error': 'Zip Code is required.'
+  };
+  const errors = {};
+  for (const [, id, , errorId] of views.PROFILE_FIELDS) {
+    if (errorId && !(form[id] || '').trim()) {
+      errors[errorId] = messages[errorId];
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parse an MM-DD-YYYY date
+ * @param {string} value - Date text
+ * @returns {Date|null} Local midnight of that date, or null if invalid
+ */
+function parseDate(value = '') {
+  const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+  return date.getMonth() === Number(match[1]) - 1 ? date : null;
+}
+
+/**
+ * Run a find transactions search over one account's transactions
+ * @param {BankStore} store - Bank store
+ * @param {Object} form - Submitted findtrans.htm fields
+ * @returns {{results?: Object[], errors?: Object}} Matching transactions or errors keyed by error element id
+ */
+function findTransactions(store, form) {
+  const transactions = store.transactionsFor(Number(form.accountId));
+  const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+  switch (form.criteria) {
+    case 'ID': {
+      if (!/^\d+$/.test((form.transactionId || '').trim())) {
+        return { errors: { transactionIdError: 'Invalid transaction ID' } };
+      }
+      return { results: transactions.filter(transaction => transaction.id === Number(form.transactionId)) };
+    }
+    case 'DATE': {
+      const date = parseDate(form.transactionDate);
+      if (!date) {
+        return { errors: { transactionDateError: 'Invalid date format' } };
+      }
+      return { results: transactions.filter(transaction => startOfDay(transaction.date) === date.getTime()) };
+    }
+    case 'DATE_RANGE': {
+      const fromDate = parseDate(form.fromDate);
+      const toDate = parseDate(form.toDate);
+      if (!fromDate || !toDate || fromDate > toDate) {
+        return { errors: { dateRangeError: 'Invalid date range' } };
+      }
+      return {
+        results: transactions.filter(transaction => startOfDay(transaction.date) >= fromDate.getTime() &&
+          startOfDay(transaction.date) <= toDate.getTime())
+      };
+    }
+    case 'AMOUNT': {
+      const { cents, error } = parseAmount(form.amount);
+      if (error) {
+        return { errors: { amountError: 'Invalid amount' } };
+      }
+      return { results: transactions.filter(transaction => transaction.amount === cents) };
+    }
+    default:
+      return { results: [] };
+  }
+}
+
+/**
+ * Validate an admin settings submission
+ * @param {Object} form - Submitted admin.htm fields
+ * @returns {{settings?: Object, errors?: Object}} Settings to apply, or errors keyed by input id
+ */
+function parseAdminSettings(form) {
+  const errors = {};
+  const settings = {};
+  for (const name of ['initialBalance', 'minimumBalance']) {
+    const { cents, error } = parseAmount(form[name]);
+    if (error) {
+      errors[name] = error;
+    } else {
+      settings[name] = cents;
+    }
+  }
+  const threshold = (form.loanProcessorThreshold || '').trim();
+  if (!/^\d+$/.test(threshold) || Number(threshold) > 100) {
+    errors.loanProcessorThreshold = 'Please enter a percentage between 0 and 100.';
+  } else {
+    settings.loanProcessorThreshold = Number(threshold);
+  }
+
+  const choices = {
+    accessMode: views.ACCESS_MODES,
+    loanProvider: views.LOAN_PROVIDERS,
+    loanProcessor: views.LOAN_PROCESSORS
+  };
+  for (const [name, values] of Object.entries(choices)) {
+    if (values.some(([, value]) => value === form[name])) {
+      settings[name] = form[name];
+    }
+  }
+  return Object.keys(errors).length ? { errors } : { settings };
+}
+
+/**
+ * Page handlers keyed by "METHOD path" (path relative to the context path)
+ * Each handler receives the request context and returns a response descriptor.
+ */
+const routes = {
+  'GET /index.htm': ({ customer }) => html(views.indexView(customer)),
+
+  'GET /register.htm': () => html(views.registerView()),
+
+  'POST /register.htm': ({ store, session, form }) => {
+    const errors = validateRegistration(store, form);
+    if (Object.keys(errors).length > 0) {
+      return html(views.registerView(form, errors));
+    }
+    const customer = store.register(userFromRegistrationForm(form));
+    session.customerId = customer.id;
+    return html(views.registeredView(customer));
+  },
+
+  'POST /login.htm': ({ store, session, form }) => {
+    if (!form.username || !form.password) {
+      return html(views.errorView('Please enter a username and password.'));
+    }
+    const customer = store.authenticate(form.username, form.password);
+    if (!customer) {
+      return html(views.errorView('The username and password could not be verified.'));
+    }
+    session.customerId = customer.id;
+    return redirect('overview.htm');
+  },
+
+  'GET /logout.htm': ({ session }) => {
+    delete session.customerId;
+    return redirect('index.htm?ConnType=JDBC');
+  },
+
+  'GET /overview.htm': loggedIn(({ store, customer }) =>
+    html(views.overviewView(customer, store.accountsFor(customer.id)))),
+
+  'GET /openaccount.htm': loggedIn(({ store, customer }) =>
+    html(views.openAccountView(customer, store.accountsFor(customer.id), store.settings.minimumBalance))),
+
+  'POST /openaccount.htm': loggedIn(({ store, customer, form }) => {
+    const type = form.type === '1' ? 'SAVINGS' : 'CHECKING';
+    const account = store.openAccount(customer.id, type, Number(form.fromAccountId));
+    return html(views.openAccountView(customer, store.accountsFor(customer.id), store.settings.minimumBalance, account));
+  }),
+
+  'GET /transfer.htm': loggedIn(({ store, customer }) =>
+    html(views.transferView(customer, store.accountsFor(customer.id)))),
+
+  'POST /transfer.htm': loggedIn(({ store, customer, form }) => {
+    const accounts = store.accountsFor(customer.id);
+    const { cents, error } = parseAmount(form.amount);
+    if (error) {
+      return html(views.transferView(customer, accounts, { values: form, error }));
+    }
+    const fromAccountId = Number(form.fromAccountId);
+    const toAccountId = Number(form.toAccountId);
+    if (!accounts.some(account => account.id === fromAccountId)) {
+      return html(views.errorView('An internal error has occurred and has been logged.', customer));
+    }
+    store.transfer(fromAccountId, toAccountId, cents);
+    return html(views.transferView(customer, accounts, { result: { amount: cents, fromAccountId, toAccountId } }));
+  }),
+
+  'GET /billpay.htm': loggedIn(({ store, customer }) =>
+    html(views.billPayView(customer, store.accountsFor(customer.id)))),
+
+  'POST /billpay.htm': loggedIn(({ store, customer, form }) => {
+    const accounts = store.accountsFor(customer.id);
+    const errors = validateBillPay(form);
+    if (Object.keys(errors).length > 0) {
+      return html(views.billPayView(customer, accounts, { values: form, errors }));
+    }
+    const fromAccountId = Number(form.fromAccountId);
+    if (!accounts.some(account => account.id === fromAccountId)) {
+      return html(views.errorView('An internal error has occurred and has been logged.', customer));
+    }
+    const amount = parseAmount(form.amount).cents;
+    store.billPay(fromAccountId, amount, form['payee.name']);
+    return html(views.billPayView(customer, accounts, {
+      result: { payeeName: form['payee.name'], amount, fromAccountId }
+    }));
+  }),
+
+  'GET /findtrans.htm': loggedIn(({ store, customer }) =>
+    html(views.findTransactionsView(customer, store.accountsFor(customer.id)))),
+
+  'POST /findtrans.htm': loggedIn(({ store, customer, form }) => {
+    const accounts = store.accountsFor(customer.id);
+    if (!accounts.some(account => account.id === Number(form.accountId))) {
+      return html(views.findTransactionsView(customer, accounts, {
+        values: form,
+        error: 'An internal error has occurred and has been logged.'
+      }));
+    }
+    const { results, errors } = findTransactions(store, form);
+    return html(views.findTransactionsView(customer, accounts, { values: form, results, errors }));
+  }),
+
+  'GET /updateprofile.htm': loggedIn(({ customer }) => html(views.updateProfileView(customer))),
+
+  'POST /updateprofile.htm': loggedIn(({ customer, form }) => {
+    const errors = validateProfile(form);
+    if (Object.keys(errors).length > 0) {
+      return html(views.updateProfileView(customer, { values: form, errors }));
+    }
+    for (const [, id, property] of views.PROFILE_FIELDS) {
+      customer[property] = form[id] || '';
+    }
+    return html(views.updateProfileView(customer, { updated: true }));
+  }),
+
+  'GET /requestloan.htm': loggedIn(({ store, customer }) =>
+    html(views.requestLoanView(customer, store.accountsFor(customer.id)))),
+
+  'POST /requestloan.htm': loggedIn(({ store, customer, form }) => {
+    const accounts = store.accountsFor(customer.id);
+    const amount = parseAmount(form.amount);
+    const downPayment = (form.downPayment || '').trim() === '0' ? { cents: 0 } : parseAmount(form.downPayment);
+    const error = amount.error || downPayment.error;
+    if (error) {
+      return html(views.requestLoanView(customer, accounts, { values: form, error }));
+    }
+    const response = store.requestLoan(customer.id, amount.cents, downPayment.cents, Number(form.fromAccountId));
+    return html(views.requestLoanView(customer, accounts, { response }));
+  }),
+
+  'GET /admin.htm': ({ store, customer }) =>
+    html(views.adminView(customer, store.settings, { jmsServiceRunning: store.jmsServiceRunning })),
+
+  'POST /admin.htm': ({ store, customer, form }) => {
+    const { settings, errors } = parseAdminSettings(form);
+    if (settings) {
+      Object.assign(store.settings, settings);
+    }
+    return html(views.adminView(customer, store.settings, {
+      jmsServiceRunning: store.jmsServiceRunning,
+      message: settings ? 'Settings saved successfully.' : null,
+      errors
+    }));
+  },
+
+  'POST /db.htm': ({ store, session, form }) => {
+    const actions = {
+      INIT: ['initialize', 'Database Initialized'],
+      CLEAN: ['clean', 'Database Cleaned']
+    };
+    const [method, message] = actions[form.action] || [];
+    if (!method) {
+      return html(views.errorView('An internal error has occurred and has been logged.'), 400);
+    }
+    store[method]();
+    // The logged-in customer may no longer exist
+    delete session.customerId;
+    return html(views.adminView(undefined, store.settings, { jmsServiceRunning: store.jmsServiceRunning, message }));
+  },
+
+  'POST /jms.htm': ({ store, customer }) => {
+    store.jmsServiceRunning = !store.jmsServiceRunning;
+    return html(views.adminView(customer, store.settings, { jmsServiceRunning: store.jmsServiceRunning }));
+  },
+
+  'GET /activity.htm': loggedIn(({ store, customer, query }) => {
+    const account = store.accounts.get(Number(query.get('id')));
+    if (!account || account.customerId !== customer.id) {
+      return html(views.errorView('An internal error has occurred and has been logged.', customer));
+    }
+    return html(views.activityView(customer, account, store.transactionsFor(account.id)));
+  })
+};
+
+/**
+ * Guard a handler so it only runs for logged-in customers
+ * @param {Function} handler - Route handler
+ * @returns {Function} Guarded handler
+ */
+function loggedIn(handler) {
+  return context => context.customer
+    ? handler(context)
+    : html(views.errorView('An internal error has occurred and has been logged.'));
+}
+
+/**
+ * Build an HTML response descriptor
+ */
+function html(body, status = 200) {
+  return { status, headers: { 'Content-Type': 'text/html;charset=UTF-8' }, body };
+}
+
+/**
+ * Build a redirect response descriptor (location relative to the context path)
+ */
+function redirect(location) {
+  return { status: 302, headers: { Location: `${CONTEXT_PATH}/${location}` }, body: '' };
+}
+
+/**
+ * Create the stand-in HTTP server
+ * @param {Object} options - Server options
+ * @param {BankStore} options.store - Store to serve (a fresh one by default)
+ * @returns {http.Server} Server that is not yet listening
+ */
+function createStandInServer({ store = new BankStore() } = {}) {
+  const sessions = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://stand-in');
+      if (url.pathname === '/' || url.pathname === CONTEXT_PATH || url.pathname === `${CONTEXT_PATH}/`) {
+        return send(res, redirect('index.htm'));
+      }
+      if (!url.pathname.startsWith(`${CONTEXT_PATH}/`)) {
+        return send(res, html(views.errorView('Not found.'), 404));
+      }
+
+      const path = url.pathname.slice(CONTEXT_PATH.length);
+      if (path.startsWith('/images/')) {
+        return send(res, { status: 200, headers: { 'Content-Type': 'image/gif' }, body: PIXEL_GIF });
+      }
+      if (path.startsWith(`${SERVICE_PATH}/`)) {
+        return send(res, handleRestRequest(store, {
+          method: req.method,
+          path: path.slice(SERVICE_PATH.length),
+          query: url.searchParams,
+          rawBody: await readBody(req)
+        }));
+      }
+      if (path === SOAP_PATH && req.method === 'POST') {
+        return send(res, handleSoapRequest(store, await readBody(req)));
+      }
+
+      let sessionId = parseCookies(req.headers.cookie).JSESSIONID;
+      if (!sessions.has(sessionId)) {
+        sessionId = crypto.randomUUID();
+        sessions.set(sessionId, {});
+        res.setHeader('Set-Cookie', `JSESSIONID=${sessionId}; Path=${CONTEXT_PATH}; HttpOnly`);
+      }
+      const session = sessions.get(sessionId);
+
+      const handler = routes[`${req.method} ${path}`];
+      if (!handler) {
+        return send(res, html(views.errorView('Not found.'), 404));
+      }
+
+      const form = req.method === 'POST' ? await readForm(req) : {};
+      const customer = store.customers.get(session.customerId);
+      return send(res, await handler({ store, session, customer, form, query: url.searchParams, req }));
+    } catch (error) {
+      console.error('Stand-in error:', error);
+      return send(res, html(views.errorView('An internal error has occurred and has been logged.'), 500));
+    }
+  });
+
+  server.store = store;
+  return server;
+}
+
+/**
+ * Write a response descriptor to the client
+ */
+function send(res, { status, headers, body }) {
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+if (require.main === module) {
+  const port = Number(process.env.STAND_IN_PORT || 3000);
+  createStandInServer().listen(port, '127.0.0.1', () => {
+    console.log(`🏦 ParaBank stand-in listening on http://127.0.0.1:${port}${CONTEXT_PATH}/`);
+  });
+}
+
+module.exports = {
+  createStandInServer,
+  routes,
+  CONTEXT_PATH
+};
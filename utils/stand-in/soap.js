@@ -0,0 +1,147 @@
+/**
+ * SOAP Service for the ParaBank stand-in
+ * Answers the ParaBank web service operations the SOAP client uses
+ * (getCustomer, getAccounts, transfer, requestLoan) with JAX-WS style envelopes,
+ * built from the same store and payload shapes as the REST resources.
+ */
+
+const { RestError, customerJson, accountJson, findCustomer, findAccount } = require('./rest');
+
+const SOAP_PATH = '/services/ParaBank';
+const SERVICE_NAMESPACE = 'http://service.parabank.parasoft.com/';
+
+/**
+ * Escape text for an XML element
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Serialize a value as an element; arrays repeat the element, null is omitted
+ * @param {string} name - Element name
+ * @param {*} value - Value to serialize
+ * @returns {string} XML
+ */
+function toXml(name, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => toXml(name, item)).join('');
+  }
+  if (typeof value === 'object') {
+    return `<${name}>${Object.entries(value).map(([key, child]) => toXml(key, child)).join('')}</${name}>`;
+  }
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Wrap body content in a SOAP 1.1 envelope
+ */
+function envelope(content) {
+  return '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    `<soap:Body>${content}</soap:Body></soap:Envelope>`;
+}
+
+/**
+ * Read the operation name and its (flat) parameters from a request envelope
+ * @param {string} xml - Request envelope
+ * @returns {{operation: string, params: Object}|null} Operation call, or null if none is found
+ */
+function readOperation(xml) {
+  const body = /<(?:[\w-]+:)?Body[^>]*>([\s\S]*)<\/(?:[\w-]+:)?Body>/.exec(xml);
+  const operation = body && /<(?:[\w-]+:)?(\w+)[^>]*>([\s\S]*)<\/(?:[\w-]+:)?\1>/.exec(body[1]);
+  if (!operation) {
+    return null;
+  }
+  const params = {};
+  for (const [, name, value] of operation[2].matchAll(/<(?:[\w-]+:)?(\w+)[^>]*>([^<]*)<\/(?:[\w-]+:)?\1>/g)) {
+    params[name] = value.trim();
+  }
+  return { operation: operation[1], params };
+}
+
+/**
+ * Read a required numeric parameter
+ */
+function numberParam(params, name) {
+  const value = params[name];
+  if (value === undefined || value === '' || !Number.isFinite(Number(value))) {
+    throw new RestError(`Invalid ${name}: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Operations as name -> handler returning the response element content
+ */
+const operations = {
+  getCustomer: (store, params) =>
+    toXml('customer', customerJson(findCustomer(store, numberParam(params, 'customerId')))),
+
+  getAccounts: (store, params) => {
+    const customer = findCustomer(store, numberParam(params, 'customerId'));
+    return toXml('account', store.accountsFor(customer.id).map(accountJson));
+  },
+
+  transfer: (store, params) => {
+    const fromAccount = findAccount(store, numberParam(params, 'fromAccountId'));
+    const toAccount = findAccount(store, numberParam(params, 'toAccountId'));
+    const amount = Math.round(numberParam(params, 'amount') * 100);
+    store.transfer(fromAccount.id, toAccount.id, amount);
+    return toXml('transferReturn',
+      `Successfully transferred $${(amount / 100).toFixed(2)} from account #${fromAccount.id} to account #${toAccount.id}`);
+  },
+
+  requestLoan: (store, params) => {
+    const customer = findCustomer(store, numberParam(params, 'customerId'));
+    const fromAccount = findAccount(store, numberParam(params, 'fromAccountId'));
+    if (fromAccount.customerId !== customer.id) {
+      throw new RestError(`Could not find account #${fromAccount.id}`);
+    }
+    const response = store.requestLoan(customer.id, Math.round(numberParam(params, 'amount') * 100),
+      Math.round(numberParam(params, 'downPayment') * 100), fromAccount.id);
+    return toXml('loanResponse', { ...response, responseDate: response.responseDate.toISOString() });
+  }
+};
+
+/**
+ * Handle a POST to the SOAP endpoint
+ * @param {BankStore} store - Bank store
+ * @param {string} rawBody - Request envelope
+ * @returns {{status: number, headers: Object, body: string}} Response descriptor
+ */
+function handleSoapRequest(store, rawBody) {
+  const headers = { 'Content-Type': 'text/xml;charset=UTF-8' };
+  const fault = (faultcode, faultstring) => ({
+    status: 500,
+    headers,
+    body: envelope(`<soap:Fault><faultcode>${faultcode}</faultcode><faultstring>${escapeXml(faultstring)}</faultstring></soap:Fault>`)
+  });
+
+  const call = readOperation(rawBody);
+  if (!call || !operations[call.operation]) {
+    return fault('soap:Client', `Unknown operation: ${call ? call.operation : '(none)'}`);
+  }
+
+  try {
+    const content = operations[call.operation](store, call.params);
+    return {
+      status: 200,
+      headers,
+      body: envelope(`<ns2:${call.operation}Response xmlns:ns2="${SERVICE_NAMESPACE}">${content}</ns2:${call.operation}Response>`)
+    };
+  } catch (error) {
+    return fault('soap:Server', error.message);
+  }
+}
+
+module.exports = {
+  SOAP_PATH,
+  SERVICE_NAMESPACE,
+  handleSoapRequest
+};
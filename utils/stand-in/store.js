@@ -0,0 +1,326 @@
+/**
+ * In-memory Bank Store for the ParaBank stand-in
+ * Holds customers, accounts and transactions for one server process
+ */
+
+const ACCOUNT_TYPES = ['CHECKING', 'SAVINGS', 'LOAN'];
+
+/**
+ * Default application settings, mirroring ParaBank's admin defaults
+ */
+const DEFAULT_SETTINGS = {
+  initialBalance: 51550, // cents
+  minimumBalance: 10000, // cents
+  accessMode: 'jdbc',
+  loanProvider: 'ws',
+  loanProcessor: 'funds',
+  loanProcessorThreshold: 20 // percent
+};
+
+/**
+ * Loan provider display names by admin setting
+ */
+const LOAN_PROVIDER_NAMES = {
+  ws: 'Wealth Securities Dynamic Loans (WSDL)',
+  local: 'ParaBank',
+  jms: 'Wealth Securities Dynamic Loans (JMS)'
+};
+
+/**
+ * Loan denial messages
+ */
+const LOAN_MESSAGES = {
+  insufficientFundsForDownPayment: 'You do not have sufficient funds for the given down payment.',
+  insufficientFunds: 'We cannot grant a loan in that amount with your available funds.',
+  insufficientDownPayment: 'We cannot grant a loan in that amount with the given down payment.'
+};
+
+/**
+ * BankStore class keeps the stand-in's state
+ * Amounts are stored in cents so balances never drift through float maths
+ */
+class BankStore {
+  constructor() {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.jmsServiceRunning = false;
+    this.initialize();
+  }
+
+  /**
+   * Reset the store to the baseline data set (the demo customer "john")
+   */
+  initialize() {
+    this.clean();
+
+    const john = this.createCustomer({
+      firstName: 'John',
+      lastName: 'Smith',
+      address: '1431 Main St',
+      city: 'Beverly Hills',
+      state: 'CA',
+      zipCode: '90210',
+      phone: '310-447-4121',
+      ssn: '622-11-9999',
+      username: 'john',
+      password: 'demo'
+    }, 12212);
+
+    const checking = this.createAccount(john.id, 'CHECKING', 0, 12345);
+    const savings = this.createAccount(john.id, 'SAVINGS', 0, 12456);
+    this.deposit(checking.id, 100000, 'Funds Transfer Received');
+    this.deposit(savings.id, 250000, 'Funds Transfer Received');
+  }
+
+  /**
+   * Remove every customer, account and transaction
+   */
+  clean() {
+    this.customers = new Map();
+    this.accounts = new Map();
+    this.transactions = [];
+    this.nextCustomerId = 12434;
+    this.nextAccountId = 13344;
+    this.nextTransactionId = 14476;
+  }
+
+  /**
+   * Create a customer record
+   * @param {Object} userData - Registration data in the testData user shape
+   * @param {number} id - Explicit customer id (optional)
+   * @returns {Object} The stored customer
+   */
+  createCustomer(userData, id = this.nextCustomerId++) {
+    const customer = {
+      id,
+      firstName: userData.firstName,
+      lastName: userData.lastName,
+      address: userData.address,
+      city: userData.city,
+      state: userData.state,
+      zipCode: userData.zipCode,
+      phone: userData.phone || '',
+      ssn: userData.ssn,
+      username: userData.username,
+      password: userData.password
+    };
+    this.customers.set(id, customer);
+    return customer;
+  }
+
+  /**
+   * Register a new customer and open their first checking account
+   * @param {Object} userData - Registration data
+   * @returns {Object} The stored customer
+   */
+  register(userData) {
+    const customer = this.createCustomer(userData);
+    const account = this.createAccount(customer.id, 'CHECKING');
+    this.deposit(account.id, this.settings.initialBalance, 'Funds Transfer Received');
+    return customer;
+  }
+
+  /**
+   * Find a customer by username
+   * @param {string} username - Username to look up
+   * @returns {Object|undefined} The customer, if any
+   */
+  findByUsername(username) {
+    for (const customer of this.customers.values()) {
+      if (customer.username === username) {
+        return customer;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Check credentials
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Object|undefined} The customer when the credentials match
+   */
+  authenticate(username, password) {
+    const customer = this.findByUsername(username);
+    return customer && customer.password === password ? customer : undefined;
+  }
+
+  /**
+   * Open an account with a zero balance
+   * @param {number} customerId - Owning customer id
+   * @param {string} type - One of CHECKING, SAVINGS, LOAN
+   * @param {number} balance - Opening balance in cents
+   * @param {number} id - Explicit account id (optional)
+   * @returns {Object} The stored account
+   */
+  createAccount(customerId, type, balance = 0, id = this.nextAccountId) {
+    if (!ACCOUNT_TYPES.includes(type)) {
+      throw new Error(`Unknown account type: ${type}`);
+    }
+    if (id === this.nextAccountId) {
+      this.nextAccountId += 111;
+    }
+    const account = { id, customerId, type, balance };
+    this.accounts.set(id, account);
+    return account;
+  }
+
+  /**
+   * Open a new account funded with the minimum balance from an existing account
+   * @param {number} customerId - Owning customer id
+   * @param {string} type - CHECKING or SAVINGS
+   * @param {number} fromAccountId - Funding account id
+   * @returns {Object} The new account
+   */
+  openAccount(customerId, type, fromAccountId) {
+    const fromAccount = this.accounts.get(fromAccountId);
+    if (!fromAccount || fromAccount.customerId !== customerId) {
+      throw new Error(`Could not find account #${fromAccountId}`);
+    }
+    const account = this.createAccount(customerId, type);
+    this.withdraw(fromAccount.id, this.settings.minimumBalance, 'Funds Transfer Sent');
+    this.deposit(account.id, this.settings.minimumBalance, 'Funds Transfer Received');
+    return account;
+  }
+
+  /**
+   * Move money between two accounts
+   * @param {number} fromAccountId - Source account id
+   * @param {number} toAccountId - Destination account id
+   * @param {number} amount - Amount in cents
+   * @returns {Object[]} The debit and credit transactions
+   */
+  transfer(fromAccountId, toAccountId, amount) {
+    if (!this.accounts.has(toAccountId)) {
+      throw new Error(`Could not find account #${toAccountId}`);
+    }
+    return [
+      this.withdraw(fromAccountId, amount, 'Funds Transfer Sent'),
+      this.deposit(toAccountId, amount, 'Funds Transfer Received')
+    ];
+  }
+
+  /**
+   * Pay a bill from an account
+   * @param {number} fromAccountId - Paying account id
+   * @param {number} amount - Amount in cents
+   * @param {string} payeeName - Payee name
+   * @returns {Object} The debit transaction
+   */
+  billPay(fromAccountId, amount, payeeName) {
+    return this.withdraw(fromAccountId, amount, `Bill Payment to ${payeeName}`);
+  }
+
+  /**
+   * Decide a loan request and, when approved, open the loan account
+   * The down payment must be covered by the funding account. The "funds" processor then
+   * needs the funds left after the down payment, and the "down" processor the down payment,
+   * to reach the threshold percentage of the loan; "combined" needs both.
+   * @param {number} customerId - Requesting customer id
+   * @param {number} amount - Loan amount in cents
+   * @param {number} downPayment - Down payment in cents
+   * @param {number} fromAccountId - Funding account id
+   * @returns {Object} Loan response: responseDate, loanProviderName, approved, message, accountId
+   */
+  requestLoan(customerId, amount, downPayment, fromAccountId) {
+    const fromAccount = this.accounts.get(fromAccountId);
+    if (!fromAccount || fromAccount.customerId !== customerId) {
+      throw new Error(`Could not find account #${fromAccountId}`);
+    }
+
+    const { loanProcessor, loanProcessorThreshold } = this.settings;
+    const required = Math.round(amount * loanProcessorThreshold / 100);
+    let message = null;
+
+    if (downPayment > fromAccount.balance) {
+      message = LOAN_MESSAGES.insufficientFundsForDownPayment;
+    } else if (loanProcessor !== 'down' && fromAccount.balance - downPayment < required) {
+      message = LOAN_MESSAGES.insufficientFunds;
+    } else if (loanProcessor !== 'funds' && downPayment < required) {
+      message = LOAN_MESSAGES.insufficientDownPayment;
+    }
+
+    const response = {
+      responseDate: new Date(),
+      loanProviderName: LOAN_PROVIDER_NAMES[this.settings.loanProvider],
+      approved: !message,
+      message,
+      accountId: null
+    };
+
+    if (response.approved) {
+      const loanAccount = this.createAccount(customerId, 'LOAN');
+      this.deposit(loanAccount.id, amount, 'Funds Transfer Received');
+      if (downPayment > 0) {
+        this.withdraw(fromAccount.id, downPayment, `Down Payment for Loan # ${loanAccount.id}`);
+      }
+      response.accountId = loanAccount.id;
+    }
+    return response;
+  }
+
+  /**
+   * Get all accounts owned by a customer
+   * @param {number} customerId - Customer id
+   * @returns {Object[]} Accounts in creation order
+   */
+  accountsFor(customerId) {
+    return [...this.accounts.values()].filter(account => account.customerId === customerId);
+  }
+
+  /**
+   * Get all transactions for an account, newest last
+   * @param {number} accountId - Account id
+   * @returns {Object[]} Transactions
+   */
+  transactionsFor(accountId) {
+    return this.transactions.filter(transaction => transaction.accountId === accountId);
+  }
+
+  /**
+   * Record a transaction and apply it to the account balance
+   * @param {number} accountId - Account id
+   * @param {string} type - Credit or Debit
+   * @param {number} amount - Amount in cents
+   * @param {string} description - Transaction description
+   * @returns {Object} The stored transaction
+   */
+  recordTransaction(accountId, type, amount, description) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Could not find account #${accountId}`);
+    }
+    account.balance += type === 'Credit' ? amount : -amount;
+
+    const transaction = {
+      id: this.nextTransactionId,
+      accountId,
+      type,
+      date: new Date(),
+      amount,
+      description
+    };
+    this.nextTransactionId += 111;
+    this.transactions.push(transaction);
+    return transaction;
+  }
+
+  /**
+   * Credit an account
+   */
+  deposit(accountId, amount, description) {
+    return this.recordTransaction(accountId, 'Credit', amount, description);
+  }
+
+  /**
+   * Debit an account
+   */
+  withdraw(accountId, amount, description) {
+    return this.recordTransaction(accountId, 'Debit', amount, description);
+  }
+}
+
+BankStore.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+BankStore.LOAN_PROVIDER_NAMES = LOAN_PROVIDER_NAMES;
+BankStore.LOAN_MESSAGES = LOAN_MESSAGES;
+
+module.exports = BankStore;
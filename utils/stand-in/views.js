@@ -0,0 +1,675 @@
+/**
+ * HTML Views for the ParaBank stand-in
+ * Markup, ids and classes follow ParaBank so the page objects work unchanged
+ */
+
+/**
+ * Escape a value for safe use in HTML text and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an amount in cents the way ParaBank does, e.g. -$1,250.00
+ * @param {number} cents - Amount in cents
+ * @returns {string} Formatted currency
+ */
+function formatMoney(cents) {
+  const sign = cents < 0 ? '-' : '';
+  const dollars = (Math.abs(cents) / 100).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return `${sign}$${dollars}`;
+}
+
+/**
+ * Format a date as MM-DD-YYYY
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${month}-${day}-${date.getFullYear()}`;
+}
+
+/**
+ * Left panel for anonymous visitors: the customer login form
+ */
+function loginPanel() {
+  return `
+<h2>Customer Login</h2>
+<div id="loginPanel">
+  <form method="post" action="login.htm" name="login">
+    <p>Username</p>
+    <div class="login"><input type="text" class="input" name="username"/></div>
+    <p>Password</p>
+    <div class="login"><input type="password" class="input" name="password"/></div>
+    <div class="login"><input type="submit" class="button" value="Log In"/></div>
+  </form>
+  <p><a href="lookup.htm">Forgot login info?</a></p>
+  <p><a href="register.htm">Register</a></p>
+</div>`;
+}
+
+/**
+ * Left panel for logged-in customers: the account services menu
+ * @param {Object} customer - Logged-in customer
+ */
+function accountServicesPanel(customer) {
+  return `
+<p class="smallText"><b>Welcome</b> ${escapeHtml(customer.firstName)} ${escapeHtml(customer.lastName)}</p>
+<h2>Account Services</h2>
+<div id="accountServices">
+  <ul>
+    <li><a href="openaccount.htm">Open New Account</a></li>
+    <li><a href="overview.htm">Accounts Overview</a></li>
+    <li><a href="transfer.htm">Transfer Funds</a></li>
+    <li><a href="billpay.htm">Bill Pay</a></li>
+    <li><a href="findtrans.htm">Find Transactions</a></li>
+    <li><a href="updateprofile.htm">Update Contact Info</a></li>
+    <li><a href="requestloan.htm">Request Loan</a></li>
+    <li><a href="logout.htm">Log Out</a></li>
+  </ul>
+</div>`;
+}
+
+/**
+ * Wrap page content in the shared ParaBank layout
+ * @param {Object} options - Layout options
+ * @param {string} options.title - Text after "ParaBank | " in the document title
+ * @param {Object} [options.customer] - Logged-in customer, if any
+ * @param {string} options.body - Right panel markup
+ * @returns {string} Complete HTML document
+ */
+function layout({ title, customer, body }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <title>ParaBank | ${escapeHtml(title)}</title>
+  <style>
+    .logo { display: inline-block; width: 180px; height: 40px; }
+    .error { color: #c00; }
+    #leftPanel { float: left; width: 200px; }
+    #rightPanel { margin-left: 220px; }
+    #footerPanel { clear: both; }
+  </style>
+</head>
+<body>
+<div id="mainPanel">
+  <div id="topPanel">
+    <a href="admin.htm"><img src="images/logo.gif" class="admin" alt="Admin"/></a>
+    <a href="index.htm"><img src="images/logo.gif" class="logo" alt="ParaBank" title="ParaBank"/></a>
+    <p class="caption">Experience the difference</p>
+  </div>
+  <div id="headerPanel">
+    <ul class="leftmenu">
+      <li class="Solutions">Solutions</li>
+      <li><a href="about.htm">About Us</a></li>
+      <li><a href="services.htm">Services</a></li>
+      <li><a href="http://www.parasoft.com/jsp/products.jsp">Products</a></li>
+      <li><a href="http://www.parasoft.com/jsp/pr/contacts.jsp">Locations</a></li>
+      <li><a href="admin.htm">Admin Page</a></li>
+    </ul>
+  </div>
+  <div id="bodyPanel">
+    <div id="leftPanel">${customer ? accountServicesPanel(customer) : loginPanel()}
+    </div>
+    <div id="rightPanel">
+${body}
+    </div>
+  </div>
+</div>
+<div id="footerPanel">
+  <ul>
+    <li><a href="index.htm">Home</a> | </li>
+    <li><a href="about.htm">About Us</a> | </li>
+    <li><a href="services.htm">Services</a></li>
+  </ul>
+  <p class="copyright">&copy; Parasoft. All rights reserved.</p>
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * Home page
+ */
+function indexView(customer) {
+  return layout({
+    title: 'Welcome | Online Banking',
+    customer,
+    body: `
+<ul class="services">
+  <li class="captionone">ATM Services</li>
+  <li><a href="services.htm">Withdraw Funds</a></li>
+  <li><a href="services.htm">Transfer Funds</a></li>
+  <li><a href="services.htm">Check Balances</a></li>
+  <li><a href="services.htm">Make Deposits</a></li>
+</ul>
+<h4>Latest News</h4>
+<p>ParaBank stand-in for offline test runs.</p>`
+  });
+}
+
+/**
+ * Registration form fields in page order: [label, input id, required message]
+ */
+const REGISTRATION_FIELDS = [
+  ['First Name:', 'customer.firstName', 'First name is required.'],
+  ['Last Name:', 'customer.lastName', 'Last name is required.'],
+  ['Address:', 'customer.address.street', 'Address is required.'],
+  ['City:', 'customer.address.city', 'City is required.'],
+  ['State:', 'customer.address.state', 'State is required.'],
+  ['Zip Code:', 'customer.address.zipCode', 'Zip Code is required.'],
+  ['Phone #:', 'customer.phoneNumber', null],
+  ['SSN:', 'customer.ssn', 'Social Security Number is required.'],
+  null,
+  ['Username:', 'customer.username', 'Username is required.'],
+  ['Password:', 'customer.password', 'Password is required.'],
+  ['Confirm:', 'repeatedPassword', 'Password confirmation is required.']
+];
+
+/**
+ * Registration page
+ * @param {Object} values - Submitted values keyed by input name
+ * @param {Object} errors - Error messages keyed by input name
+ */
+function registerView(values = {}, errors = {}) {
+  const rows = REGISTRATION_FIELDS.map(field => {
+    if (!field) {
+      return '<tr><td colspan="3">&nbsp;</td></tr>';
+    }
+    const [label, name] = field;
+    const type = name.includes('assword') ? 'password' : 'text';
+    const value = type === 'password' ? '' : values[name];
+    const error = errors[name]
+      ? `<span id="${name}.errors" class="error">${escapeHtml(errors[name])}</span>`
+      : '';
+    return `<tr>
+  <td align="right" width="20%">${label}</td>
+  <td width="20%"><input id="${name}" name="${name}" class="input" type="${type}" value="${escapeHtml(value)}"/></td>
+  <td width="60%">${error}</td>
+</tr>`;
+  }).join('\n');
+
+  return layout({
+    title: 'Register for Free Online Account Access',
+    body: `
+<h1 class="title">Signing up is easy!</h1>
+<p>If you have an account with us you can sign-up for free instant online access. You will have to provide some personal information.</p>
+<form id="customerForm" action="register.htm" method="post">
+<table class="form2">
+${rows}
+<tr><td>&nbsp;</td><td colspan="2"><input type="submit" class="button" value="Register"/></td></tr>
+</table>
+</form>`
+  });
+}
+
+/**
+ * Page shown after a successful registration
+ */
+function registeredView(customer) {
+  return layout({
+    title: 'Customer Created',
+    customer,
+    body: `
+<h1 class="title">Welcome ${escapeHtml(customer.username)}</h1>
+<p>Your account was created successfully. You are now logged in.</p>`
+  });
+}
+
+/**
+ * Generic error page
+ * @param {string} message - Error message
+ * @param {Object} [customer] - Logged-in customer, if any
+ */
+function errorView(message, customer) {
+  return layout({
+    title: 'Error',
+    customer,
+    body: `
+<h1 class="title">Error!</h1>
+<p class="error">${escapeHtml(message)}</p>`
+  });
+}
+
+/**
+ * Accounts overview page
+ * @param {Object} customer - Logged-in customer
+ * @param {Object[]} accounts - Customer accounts
+ */
+function overviewView(customer, accounts) {
+  const rows = accounts.map(account => `<tr>
+  <td><a href="activity.htm?id=${account.id}">${account.id}</a></td>
+  <td>${formatMoney(account.balance)}</td>
+  <td>${formatMoney(Math.max(account.balance, 0))}</td>
+</tr>`).join('\n');
+  const total = accounts.reduce((sum, account) => sum + account.balance, 0);
+
+  return layout({
+    title: 'Accounts Overview',
+    customer,
+    body: `
+<div id="showOverview">
+<h1 class="title">Accounts Overview</h1>
+<table id="accountTable" class="gradient-style">
+<thead><tr><th>Account</th><th>Balance*</th><th>Available Amount</th></tr></thead>
+<tbody>
+${rows}
+<tr><td align="right"><b>Total</b></td><td><b>${formatMoney(total)}</b></td><td>&nbsp;</td></tr>
+</tbody>
+<tfoot><tr><td colspan="3">*Balance includes deposits that may be subject to holds</td></tr></tfoot>
+</table>
+</div>`
+  });
+}
+
+/**
+ * Account number options for the account selects
+ * @param {Object[]} accounts - Customer accounts
+ */
+function accountOptions(accounts) {
+  return accounts.map(account => `<option value="${account.id}">${account.id}</option>`).join('');
+}
+
+/**
+ * Open new account page, showing either the form or the result
+ * @param {Object} customer - Logged-in customer
+ * @param {Object[]} accounts - Customer accounts
+ * @param {number} minimumBalance - Required opening deposit in cents
+ * @param {Object} [newAccount] - Account just opened
+ */
+function openAccountView(customer, accounts, minimumBalance, newAccount) {
+  const body = newAccount ? `
+<div id="openAccountResult">
+<h1 class="title">Account Opened!</h1>
+<p>Congratulations, your account is now open.</p>
+<p><b>Your new account number:</b> <a id="newAccountId" href="activity.htm?id=${newAccount.id}">${newAccount.id}</a></p>
+</div>` : `
+<div id="openAccountForm">
+<h1 class="title">Open New Account</h1>
+<form action="openaccount.htm" method="post">
+<p><b>What type of Account would you like to open?</b></p>
+<select id="type" name="type" class="input"><option value="0">CHECKING</option><option value="1">SAVINGS</option></select>
+<p><b>A minimum of ${formatMoney(minimumBalance)} must be deposited into this account at time of opening. Please choose an existing account to transfer funds into the new account.</b></p>
+<select id="fromAccountId" name="fromAccountId" class="input">${accountOptions(accounts)}</select>
+<div><input type="submit" class="button" value="Open New Account"/></div>
+</form>
+</div>`;
+
+  return layout({ title: 'Open Account', customer, body });
+}
+
+/**
+ * Transfer funds page, showing either the form or the result
+ * @param {Object} customer - Logged-in customer
+ * @param {Object[]} accounts - Customer accounts
+ * @param {Object} [state] - Submitted values, amount error or completed transfer
+ */
+function transferView(customer, accounts, { values = {}, error, result } = {}) {
+  const body = result ? `
+<div id="showResult">
+<h1 class="title">Transfer Complete!</h1>
+<p><span id="amountResult">${formatMoney(result.amount)}</span> has been transferred from account #<span id="fromAccountIdResult">${result.fromAccountId}</span> to account #<span id="toAccountIdResult">${result.toAccountId}</span>.</p>
+<p>See Account Activity for more details.</p>
+</div>` : `
+<div id="showForm">
+<h1 class="title">Transfer Funds</h1>
+<form id="transferForm" action="transfer.htm" method="post">
+<p><b>Amount:</b> $<input id="amount" name="amount" class="input" type="text" size="10" value="${escapeHtml(values.amount)}"/>
+${error ? `<span id="amount.errors" class="error">${escapeHtml(error)}</span>` : ''}</p>
+<div>From account #<select id="fromAccountId" name="fromAccountId" class="input">${accountOptions(accounts)}</select>
+to account #<select id="toAccountId" name="toAccountId" class="input">${accountOptions(accounts)}</select></div>
+<div><input type="submit" class="button" value="Transfer"/></div>
+</form>
+</div>`;
+
+  return layout({ title: 'Transfer Funds', customer, body });
+}
+
+/**
+ * Bill pay form rows: [label, input name, [error element id suffixes]]
+ */
+const BILL_PAY_FIELDS = [
+  ['Payee Name:', 'payee.name', ['name']],
+  ['Address:', 'payee.address.street', ['address']],
+  ['City:', 'payee.address.city', ['city']],
+  ['State:', 'payee.address.state', ['state']],
+  ['Zip Code:', 'payee.address.zipCode', ['zipCode']],
+  ['Phone #:', 'payee.phoneNumber', ['phoneNumber']],
+  null,
+  ['Account #:', 'payee.accountNumber', ['account-empty', 'account-invalid']],
+  ['Verify Account #:', 'verifyAccount', ['verifyAccount-empty', 'verifyAccount-invalid', 'verifyAccount-mismatch']],
+  null,
+  ['Amount: $', 'amount', ['amount-empty', 'amount-invalid']]
+];
+
+/**
+ * Bill pay page, showing either the form or the result
+ * @param {Object} customer - Logged-in customer
+ * @param {Object[]} accounts - Customer accounts
+ * @param {Object} [state] - Submitted values, errors keyed by error id suffix, or completed payment
+ */
+function billPayView(customer, accounts, { values = {}, errors = {}, result } = {}) {
+  const rows = BILL_PAY_FIELDS.map(field => {
+    if (!field) {
+      return '<tr><td colspan="3">&nbsp;</td></tr>';
+    }
+    const [label, name, errorIds] = field;
+    const spans = errorIds.map(errorId => errors[errorId]
+      ? `<span class="error" id="validationModel-${errorId}">${escapeHtml(errors[errorId])}</span>`
+      : `<span class="error" id="validationModel-${errorId}" style="display: none;"></span>`).join('');
+    return `<tr>
+  <td align="right" width="30%">${label}</td>
+  <td width="20%"><input class="input" name="${name}" type="text" value="${escapeHtml(values[name])}"/></td>
+  <td width="50%">${spans}</td>
+</tr>`;
+  }).join('\n');
+
+  const body = result ? `
+<div id="billpayResult">
+<h1 class="title">Bill Payment Complete</h1>
+<p>Bill Payment to <span id="payeeName">${escapeHtml(result.payeeName)}</span> in the amount of <span id="amount">${formatMoney(result.amount)}</span> from account <span id="fromAccountId">${result.fromAccountId}</span> was successful.</p>
+<p>See Account Activity for more details.</p>
+</div>` : `
+<div id="billpayForm">
+<h1 class="title">Bill Payment Service</h1>
+<p>Enter payee information</p>
+<form name="billPayForm" action="billpay.htm" method="post">
+<table class="form2">
+${rows}
+<tr><td align="right">From account #:</td><td><select name="fromAccountId" class="input">${accountOptions(accounts)}</select></td><td></td></tr>
+<tr><td>&nbsp;</td><td colspan="2"><input type="submit" class="button" value="Send Payment"/></td></tr>
+</table>
+</form>
+</div>`;
+
+  return layout({ title: 'Bill Pay', customer, body });
+}
+
+/**
+ * Transaction table rows shared by the activity and find transactions pages
+ * @param {Object[]} transactions - Transactions to list
+ */
+function transactionRows(transactions) {
+  return transactions.map(transaction => `<tr>
+  <td>${formatDate(transaction.date)}</td>
+  <td><a href="transaction.htm?id=${transaction.id}">${escapeHtml(transaction.description)}</a></td>
+  <td>${transaction.type === 'Debit' ? formatMoney(transaction.amount) : ''}</td>
+  <td>${transaction.type === 'Credit' ? formatMoney(transaction.amount) : ''}</td>
+</tr>`).join('\n');
+}
+
+/**
+ * Find transactions page, showing the form plus either results or an error
+ * @param {Object} customer - Logged-in customer
+ * @param {Object[]} accounts - Customer accounts
+ * @param {Object} [state] - Submitted values, field errors keyed by error element id, results or a general error
+ */
+function findTransactionsView(customer, accounts, { values = {}, errors = {}, results, error } = {}) {
+  const input = (id, placeholder = '') =>
+    `<input id="${id}" name="${id}" class="input" type="text" placeholder="${placeholder}" value="${escapeHtml(values[id])}"/>`;
+  const errorSpan = id => `<span id="${id}" class="error"${errors[id] ? '' : ' style="display: none;"'}>${escapeHtml(errors[id])}</span>`;
+  const selected = account => String(account.id) === values.accountId ? ' selected' : '';
+
+  const body = `
+<div id="formContainer">
+<h1 class="title">Find Transactions</h1>
+<form id="transactionForm" action="findtrans.htm" method="post">
+<div class="form-group"><label for="accountId">Select an account:</label>
+<select id="accountId" name="accountId" class="input">${accounts.map(account =>
+    `<option value="${account.id}"${selected(account)}>${account.id}</option>`).join('')}</select></div>
+<div class="form-group"><label>Find by Transaction ID:</label> ${input('transactionId')} ${errorSpan('transactionIdError')}
+<button type="submit" id="findById" name="criteria" value="ID" class="button">Find Transactions</button></div>
+<div class="form-group"><label>Find by Date:</label> ${input('transactionDate', 'MM-DD-YYYY')} ${errorSpan('transactionDateError')}
+<button type="submit" id="findByDate" name="criteria" value="DATE" class="button">Find Transactions</button></div>
+<div class="form-group"><label>Find by Date Range:</label> Between ${input('fromDate', 'MM-DD-YYYY')} and ${input('toDate', 'MM-DD-YYYY')} ${errorSpan('dateRangeError')}
+<button type="submit" id="findByDateRange" name="criteria" value="DATE_RANGE" class="button">Find Transactions</button></div>
+<div class="form-group"><label>Find by Amount:</label> ${input('amount')} ${errorSpan('amountError')}
+<button type="submit" id="findByAmount" name="criteria" value="AMOUNT" class="button">Find Transactions</button></div>
+</form>
+</div>
+${results ? `<div id="resultContainer">
+<h1 class="title">Transaction Results</h1>
+<table id="transactionTable" class="gradient-style">
+<thead><tr><th>Date</th><th>Transaction</th><th>Debit (-)</th><th>Credit (+)</th></tr></thead>
+<tbody id="transactionBody">
+${transactionRows(results)}
+</tbody>
+</table>
+</div>` : ''}
+${error ? `<div id="errorContainer">
+<h1 class="title">Error!</h1>
+<p class="error">${escapeHtml(error)}</p>
+</div>` : ''}`;
+
+  return layout({ title: 'Find Transactions', customer, body });
+}
+
+/**
+ * Update profile form fields in page order: [label, input id, customer property, error id]
+ */
+const PROFILE_FIELDS = [
+  ['First Name:', 'customer.firstName', 'firstName', 'firstName-error'],
+  ['Last Name:', 'customer.lastName', 'lastName', 'lastName-error'],
+  ['Address:', 'customer.address.street', 'address', 'street-error'],
+  ['City:', 'customer.address.city', 'city', 'city-error'],
+  ['State:', 'customer.address.state', 'state', 'state-error'],
+  ['Zip Code:', 'customer.address.zipCode', 'zipCode', 'zipCode-error'],
+  ['Phone #:', 'customer.phoneNumber', 'phone', null]
+];
+
+/**
+ * Update profile page, showing either the form or the result
+ * @param {Object} customer - Logged-in customer
+ * @param {Object} [state] - Submitted values and errors keyed by error id, or updated flag
+ */
+function updateProfileView(customer, { values, errors = {}, updated } = {}) {
+  const rows = PROFILE_FIELDS.map(([label, id, property, errorId]) => {
+    const value = values ? values[id] : customer[property];
+    const error = errorId && errors[errorId]
+      ? `<span id="${errorId}" class="error">${escapeHtml(errors[errorId])}</span>`
+      : '';
+    return `<tr>
+  <td align="right" width="20%">${label}</td>
+  <td width="20%"><input id="${id}" name="${id}" class="input" type="text" value="${escapeHtml(value)}"/></td>
+  <td width="60%">${error}</td>
+</tr>`;
+  }).join('\n');
+
+  const body = updated ? `
+<div id="updateProfileResult">
+<h1 class="title">Profile Updated</h1>
+<p>Your updated address and phone number have been added to the system.</p>
+</div>` : `
+<div id="updateProfileForm">
+<h1 class="title">Update Profile</h1>
+<form name="updateProfileForm" action="updateprofile.htm" method="post">
+<table class="form2">
+${rows}
+<tr><td>&nbsp;</td><td colspan="2"><input type="submit" class="button" value="Update Profile"/></td></tr>
+</table>
+</form>
+</div>`;
+
+  return layout({ title: 'Update Profile', customer, body });
+}
+
+/**
+ * Request loan page, showing either the form or the decision
+ * @param {Object} customer - Logged-in customer
+ * @param {Object[]} accounts - Customer accounts
+ * @param {Object} [state] - Submitted values and amount error, or the loan response
+ */
+function requestLoanView(customer, accounts, { values = {}, error, response } = {}) {
+  const body = response ? `
+<div id="requestLoanResult">
+<h1 class="title">Loan Request Processed</h1>
+<table class="form">
+<tr><td align="right"><b>Loan Provider:</b></td><td id="loanProviderName">${escapeHtml(response.loanProviderName)}</td></tr>
+<tr><td align="right"><b>Date:</b></td><td id="responseDate">${formatDate(response.responseDate)}</td></tr>
+<tr><td align="right"><b>Status:</b></td><td id="loanStatus">${response.approved ? 'Approved' : 'Denied'}</td></tr>
+</table>
+<div id="loanRequestApproved"${response.approved ? '' : ' style="display: none;"'}>
+<p>Congratulations, your loan has been approved.</p>
+<p><b>Your new account number:</b> <a id="newAccountId" href="activity.htm?id=${response.accountId || ''}">${response.accountId || ''}</a></p>
+</div>
+<div id="loanRequestDenied"${response.approved ? ' style="display: none;"' : ''}>
+<p class="error">${escapeHtml(response.message)}</p>
+</div>
+</div>` : `
+<div id="requestLoanForm">
+<h1 class="title">Apply for a Loan</h1>
+<form action="requestloan.htm" method="post">
+<table class="form2">
+<tr><td align="right"><b>Loan Amount:</b></td><td>$<input id="amount" name="amount" class="input" type="text" value="${escapeHtml(values.amount)}"/></td></tr>
+<tr><td align="right"><b>Down Payment:</b></td><td>$<input id="downPayment" name="downPayment" class="input" type="text" value="${escapeHtml(values.downPayment)}"/></td></tr>
+<tr><td align="right"><b>From account #:</b></td><td><select id="fromAccountId" name="fromAccountId" class="input">${accountOptions(accounts)}</select></td></tr>
+<tr><td>&nbsp;</td><td><input type="submit" class="button" value="Apply Now"/></td></tr>
+</table>
+${error ? `<p id="requestLoanError" class="error">${escapeHtml(error)}</p>` : ''}
+</form>
+</div>`;
+
+  return layout({ title: 'Request Loan', customer, body });
+}
+
+/**
+ * Data access modes offered on the admin page: [label, value]
+ */
+const ACCESS_MODES = [
+  ['SOAP', 'soap'],
+  ['REST (XML)', 'restxml'],
+  ['REST (JSON)', 'restjson'],
+  ['JDBC', 'jdbc']
+];
+
+/**
+ * Loan provider and loan processor choices on the admin page: [label, value]
+ */
+const LOAN_PROVIDERS = [['Web Service', 'ws'], ['Local', 'local'], ['JMS', 'jms']];
+const LOAN_PROCESSORS = [['Down Payment', 'down'], ['Available Funds', 'funds'], ['Combined', 'combined']];
+
+/**
+ * Render select options, marking the current value
+ */
+function options(choices, selected) {
+  return choices.map(([label, value]) =>
+    `<option value="${value}"${value === selected ? ' selected="selected"' : ''}>${label}</option>`).join('');
+}
+
+/**
+ * Administration page: database, JMS service and application settings
+ * @param {Object} customer - Logged-in customer, if any
+ * @param {Object} settings - Store settings
+ * @param {Object} [state] - JMS status, outcome message and settings form errors keyed by input id
+ */
+function adminView(customer, settings, { jmsServiceRunning = false, message, errors = {} } = {}) {
+  const error = id => errors[id] ? `<span id="${id}.errors" class="error">${escapeHtml(errors[id])}</span>` : '';
+  const accessModes = ACCESS_MODES.map(([label, value], index) =>
+    `<input type="radio" id="accessMode${index + 1}" name="accessMode" value="${value}"${value === settings.accessMode ? ' checked="checked"' : ''}/>
+<label for="accessMode${index + 1}">${label}</label>`).join('\n');
+
+  const body = `
+<h1 class="title">Administration</h1>
+${message ? `<p><b>${escapeHtml(message)}</b></p>` : ''}
+<table>
+<tr><td><h3>Database</h3>
+<form action="db.htm" method="post">
+<button type="submit" class="button" name="action" value="INIT">Initialize</button>
+<button type="submit" class="button" name="action" value="CLEAN">Clean</button>
+</form></td></tr>
+<tr><td><h3>JMS Service</h3>
+<form action="jms.htm" method="post">
+<table>
+<tr><td>Status:</td><td id="jmsStatus">${jmsServiceRunning ? 'Running' : 'Stopped'}</td>
+<td><input type="submit" class="button" value="${jmsServiceRunning ? 'Shutdown' : 'Startup'}"/></td></tr>
+</table>
+</form></td></tr>
+</table>
+<form id="adminForm" action="admin.htm" method="post">
+<h3>Data Access Mode</h3>
+<div id="accessModeSection">
+${accessModes}
+</div>
+<h3>Application Settings</h3>
+<table class="form2">
+<tr><td align="right">Initial Balance:</td><td><input id="initialBalance" name="initialBalance" class="input" type="text" value="${(settings.initialBalance / 100).toFixed(2)}"/></td><td>${error('initialBalance')}</td></tr>
+<tr><td align="right">Minimum Balance:</td><td><input id="minimumBalance" name="minimumBalance" class="input" type="text" value="${(settings.minimumBalance / 100).toFixed(2)}"/></td><td>${error('minimumBalance')}</td></tr>
+<tr><td align="right">Loan Provider:</td><td><select id="loanProvider" name="loanProvider" class="input">${options(LOAN_PROVIDERS, settings.loanProvider)}</select></td><td></td></tr>
+<tr><td align="right">Loan Processor:</td><td><select id="loanProcessor" name="loanProcessor" class="input">${options(LOAN_PROCESSORS, settings.loanProcessor)}</select></td><td></td></tr>
+<tr><td align="right">Threshold:</td><td><input id="loanProcessorThreshold" name="loanProcessorThreshold" class="input" type="text" value="${settings.loanProcessorThreshold}"/>%</td><td>${error('loanProcessorThreshold')}</td></tr>
+<tr><td>&nbsp;</td><td><input type="submit" class="button" value="Submit"/></td><td></td></tr>
+</table>
+</form>`;
+
+  return layout({ title: 'Administration', customer, body });
+}
+
+/**
+ * Account details and activity page
+ * @param {Object} customer - Logged-in customer
+ * @param {Object} account - Account to show
+ * @param {Object[]} transactions - Account transactions
+ */
+function activityView(customer, account, transactions) {
+  return layout({
+    title: 'Account Activity',
+    customer,
+    body: `
+<div id="accountDetails">
+<h1 class="title">Account Details</h1>
+<table>
+<tr><td align="right">Account Number:</td><td id="accountId">${account.id}</td></tr>
+<tr><td align="right">Account Type:</td><td id="accountType">${account.type}</td></tr>
+<tr><td align="right">Balance:</td><td id="balance">${formatMoney(account.balance)}</td></tr>
+<tr><td align="right">Available:</td><td id="availableBalance">${formatMoney(Math.max(account.balance, 0))}</td></tr>
+</table>
+</div>
+<div id="accountActivity">
+<h1 class="title">Account Activity</h1>
+<table id="transactionTable" class="gradient-style">
+<thead><tr><th>Date</th><th>Transaction</th><th>Debit (-)</th><th>Credit (+)</th></tr></thead>
+<tbody>
+${transactionRows(transactions)}
+</tbody>
+</table>
+</div>`
+  });
+}
+
+module.exports = {
+  escapeHtml,
+  formatMoney,
+  formatDate,
+  layout,
+  indexView,
+  registerView,
+  registeredView,
+  errorView,
+  overviewView,
+  accountOptions,
+  openAccountView,
+  transferView,
+  billPayView,
+  transactionRows,
+  findTransactionsView,
+  updateProfileView,
+  requestLoanView,
+  adminView,
+  ACCESS_MODES,
+  LOAN_PROVIDERS,
+  LOAN_PROCESSORS,
+  PROFILE_FIELDS,
+  activityView,
+  REGISTRATION_FIELDS
+};